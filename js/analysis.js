@@ -0,0 +1,132 @@
+import { getBezierPt, getRibPivot } from './math.js';
+
+// Ring Wall Analysis
+//
+// Checks how thin each ring (the material between nests[k] and nests[k + 1]) gets.
+// Both curves are flattened to polylines; every outer sample is measured against
+// the inner polyline, and inner samples that escape the outer curve mark a crossing.
+// With dowel holes, the ring must also be wide enough at its pivot for the hole and
+// a minimum wall around it.
+
+const SAMPLES_PER_PATH = 160;
+
+/**
+ * @param {Array} nests - nested paths from generateNests
+ * @param {number} minWall - smallest safe ring width in inches
+ * @param {Object} [dowel] - { pivotStart, diameter } when dowel holes are punched (or null)
+ * @returns {Array} one entry per ring: { layer, minWidth, thin, thinRuns, pivotWidth?, dowelFits? }
+ *   minWidth is the narrowest gap found (0 when the curves cross) and thinRuns
+ *   holds the stretches of the outer curve below minWall as arrays of {x, y}.
+ *   With a dowel, pivotWidth is the ring's width at the centred pivot (see getPivotWidth)
+ *   and dowelFits whether the hole plus minWall fits in it; a ring it doesn't fit is thin.
+ */
+export function analyzeRingWidths(nests, minWall, dowel = null) {
+    const polys = nests.map(path => flattenPath(path, SAMPLES_PER_PATH));
+    const rings = [];
+
+    for (let k = 0; k < nests.length - 1; k++) {
+        const outer = polys[k];
+        const inner = polys[k + 1];
+
+        const crosses = inner.some(p => !pointInPolygon(p, outer));
+
+        const widths = outer.map(p => distToPolyline(p, inner));
+        const minWidth = crosses ? 0 : Math.min(...widths);
+
+        // Group consecutive thin samples into runs along the outer curve
+        const thinRuns = [];
+        let run = null;
+        outer.forEach((p, i) => {
+            if (widths[i] < minWall) {
+                if (!run) {
+                    run = [];
+                    thinRuns.push(run);
+                }
+                run.push(p);
+            } else {
+                run = null;
+            }
+        });
+
+        // A run touching both ends of the closed loop is really one run
+        if (thinRuns.length > 1 && widths[0] < minWall && widths[outer.length - 1] < minWall) {
+            const last = thinRuns.pop();
+            thinRuns[0] = last.concat(thinRuns[0]);
+        }
+
+        const ring = {
+            layer: k + 1,
+            minWidth,
+            thin: crosses || minWidth < minWall,
+            thinRuns
+        };
+        if (dowel) {
+            ring.pivotWidth = getPivotWidth(nests[k], nests[k + 1], dowel.pivotStart, outer, inner);
+            ring.dowelFits = dowelFits(ring.pivotWidth, dowel.diameter, minWall);
+            if (!ring.dowelFits) ring.thin = true;
+        }
+        rings.push(ring);
+    }
+
+    return rings;
+}
+
+/**
+ * Width of the ring between outerCurve and innerCurve at its centred pivot (the
+ * one dowel holes are punched at): twice the distance from the pivot to the nearer
+ * curve, or 0 when the pivot falls outside the ring.
+ * outerPoly and innerPoly are the curves already flattened, when the caller has them.
+ */
+export function getPivotWidth(outerCurve, innerCurve, pivotStart, outerPoly = null, innerPoly = null) {
+    const pivot = getRibPivot(outerCurve, innerCurve, pivotStart, true);
+    if (!pivot) return 0;
+    const outer = outerPoly || flattenPath(outerCurve, SAMPLES_PER_PATH);
+    const inner = innerPoly || flattenPath(innerCurve, SAMPLES_PER_PATH);
+    if (!pointInPolygon(pivot, outer) || pointInPolygon(pivot, inner)) return 0;
+    return 2 * Math.min(distToPolyline(pivot, outer), distToPolyline(pivot, inner));
+}
+
+/**
+ * Whether a dowel hole of the given diameter, with minWall of material to spare,
+ * fits in a ring pivotWidth wide
+ */
+export function dowelFits(pivotWidth, diameter, minWall) {
+    return pivotWidth >= diameter + minWall;
+}
+
+function flattenPath(pathSegs, total) {
+    const perSeg = Math.max(2, Math.ceil(total / pathSegs.length));
+    const pts = [];
+    for (const seg of pathSegs) {
+        for (let i = 0; i < perSeg; i++) {
+            pts.push(getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, i / perSeg));
+        }
+    }
+    return pts;
+}
+
+function distToPolyline(p, poly) {
+    let best = Infinity;
+    for (let i = 0; i < poly.length; i++) {
+        const a = poly[i];
+        const b = poly[(i + 1) % poly.length];
+        const l2 = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+        let t = l2 === 0 ? 0 : ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / l2;
+        t = Math.max(0, Math.min(1, t));
+        const d = Math.hypot(p.x - (a.x + t * (b.x - a.x)), p.y - (a.y + t * (b.y - a.y)));
+        if (d < best) best = d;
+    }
+    return best;
+}
+
+function pointInPolygon(p, poly) {
+    let inside = false;
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+        const a = poly[i];
+        const b = poly[j];
+        if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
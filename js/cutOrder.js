@@ -0,0 +1,168 @@
+import { getBezierPt, getBezierLength, getPathSignedArea, getArcLengthTable } from './math.js';
+import { splitSegment } from './offset.js';
+
+// Cut Ordering
+//
+// Orders the closed contours of an export the way a laser should cut them.
+// A part drops (and can shift) as soon as its outer contour is closed, so every
+// contour waits until all the contours inside it are cut. Among the contours that
+// are ready, the one nearest the laser head goes next, started at its point
+// closest to the head. Contours are cut a group (a part, or one shape's nests) at
+// a time so each SVG group stays together; groups are also taken nearest first.
+
+const START_SAMPLES = 16;   // Candidate start points per segment
+const INSIDE_SAMPLES = 8;   // Polygon samples per segment for containment tests
+
+/**
+ * @param {Array} groups - one array of closed paths per group
+ * @param {{x, y}} [start] - where the laser head starts (the sheet origin)
+ * @returns {{ groups: Array, travel: number, unorderedTravel: number }}
+ *   groups holds { index, paths, sources } in cut order: index into the input and the
+ *   group's paths reordered, each restarted at its chosen start point. Outer contours
+ *   (inside an even number of the group's other contours) run counter-clockwise on the
+ *   sheet, holes clockwise. sources[i] tells where paths[i] came from: { index } in the
+ *   input group, whether it was `reversed`, and the normalized distance along the
+ *   (reversed) input path where it now `start`s. travel is the head's rapid travel in
+ *   inches for this order; unorderedTravel is the travel of the plain order it is compared
+ *   with: groups and contours in input order, each started at its first point, but
+ *   still cutting every contour after the contours inside it.
+ */
+export function orderCuts(groups, start = { x: 0, y: 0 }) {
+    const pending = groups.map((paths, index) => ({ index, contours: prepareGroup(paths) }));
+    const ordered = [];
+    let head = start;
+    let travel = 0;
+
+    while (pending.length > 0) {
+        // The group whose first ready contour comes nearest to the head
+        let best = 0;
+        let bestDist = Infinity;
+        pending.forEach((group, i) => {
+            const dist = Math.min(...group.contours.filter(c => c.inside.length === 0).map(c => nearestSample(c, head).dist));
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = i;
+            }
+        });
+
+        const group = pending.splice(best, 1)[0];
+        const paths = [];
+        const sources = [];
+        const done = new Set();
+        while (paths.length < group.contours.length) {
+            let next = null;
+            for (const contour of group.contours) {
+                if (done.has(contour) || contour.inside.some(c => !done.has(c))) continue;
+                const sample = nearestSample(contour, head);
+                if (!next || sample.dist < next.sample.dist) next = { contour, sample };
+            }
+            done.add(next.contour);
+            const { path, reversed, index } = next.contour;
+            paths.push(restartPath(path, next.sample));
+            sources.push({ index, reversed, start: pathDistance(path, next.sample) });
+            travel += next.sample.dist;
+            head = next.sample.point;
+        }
+        ordered.push({ index: group.index, paths, sources });
+    }
+
+    let unorderedTravel = 0;
+    head = start;
+    groups.forEach(paths => {
+        const contours = prepareGroup(paths);
+        const done = new Set();
+        while (done.size < contours.length) {
+            // The first contour in input order with everything inside it cut
+            const contour = contours.find(c => !done.has(c) && c.inside.every(other => done.has(other)));
+            done.add(contour);
+            const p = contour.path[0].p1;
+            unorderedTravel += Math.hypot(p.x - head.x, p.y - head.y);
+            head = p;
+        }
+    });
+
+    return { groups: ordered, travel, unorderedTravel };
+}
+
+// Each contour of a group, wound for its depth, with the contours lying inside it
+function prepareGroup(paths) {
+    const contours = paths.map((path, index) => ({
+        index,
+        path,
+        polygon: samplePath(path, INSIDE_SAMPLES),
+        area: Math.abs(getPathSignedArea(path))
+    })).filter(contour => contour.path.length > 0);
+
+    contours.forEach(contour => {
+        contour.inside = contours.filter(other => other !== contour && other.area < contour.area &&
+            pointInPolygon(other.path[0].p1, contour.polygon));
+    });
+    contours.forEach(contour => {
+        const depth = contours.filter(other => other.inside.includes(contour)).length;
+        // Positive signed area runs clockwise on the y-down sheet
+        const clockwise = getPathSignedArea(contour.path) > 0;
+        contour.reversed = clockwise !== (depth % 2 === 1);
+        if (contour.reversed) contour.path = reversePath(contour.path);
+        contour.samples = [];
+        contour.path.forEach((seg, segIndex) => {
+            for (let i = 0; i < START_SAMPLES; i++) {
+                const t = i / START_SAMPLES;
+                contour.samples.push({ segIndex, t, point: getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, t) });
+            }
+        });
+    });
+    return contours;
+}
+
+function nearestSample(contour, P) {
+    let best = null;
+    for (const sample of contour.samples) {
+        const dist = Math.hypot(sample.point.x - P.x, sample.point.y - P.y);
+        if (!best || dist < best.dist) best = { ...sample, dist };
+    }
+    return best;
+}
+
+// Normalized distance along the path to the sample's point
+function pathDistance(path, { segIndex, t }) {
+    let length = getBezierLength(path[segIndex].p1, path[segIndex].c1, path[segIndex].c2, path[segIndex].p2, t);
+    for (let i = 0; i < segIndex; i++) {
+        length += getBezierLength(path[i].p1, path[i].c1, path[i].c2, path[i].p2);
+    }
+    return length / getArcLengthTable(path).totalLength;
+}
+
+// The same closed path, starting at the sample's point
+function restartPath(path, { segIndex, t }) {
+    const before = path.slice(0, segIndex);
+    const after = path.slice(segIndex + 1);
+    if (t === 0) return [path[segIndex], ...after, ...before];
+    const [head, tail] = splitSegment(path[segIndex], t);
+    return [tail, ...after, ...before, head];
+}
+
+function reversePath(path) {
+    return path.slice().reverse().map(seg => ({ p1: seg.p2, c1: seg.c2, c2: seg.c1, p2: seg.p1 }));
+}
+
+function samplePath(path, perSeg) {
+    const pts = [];
+    for (const seg of path) {
+        for (let i = 0; i < perSeg; i++) {
+            pts.push(getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, i / perSeg));
+        }
+    }
+    return pts;
+}
+
+function pointInPolygon(p, poly) {
+    let inside = false;
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+        const a = poly[i];
+        const b = poly[j];
+        if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
@@ -1,24 +1,72 @@
 
-import { pathToSvgD } from './math.js';
+import { pathToSvgD, openPathToSvgD, getPathBBox, translatePath, scalePath, getStackPivots, getCirclePath, getBezierPt } from './math.js';
+import { packRings, mapPartPaths } from './packing.js';
+import { offsetPath, removeSelfIntersections } from './offset.js';
+import { orderCuts } from './cutOrder.js';
+import { breakForTabs } from './tabs.js';
+import { getPivotWidth, dowelFits } from './analysis.js';
 import { state } from './state.js';
 
-export function generateExportString(nests) {
+/**
+ * Every exporter takes shapeNests: one nests array (from generateNests) per shape.
+ *
+ * Export options shared by every exporter:
+ *   dowel: { pivotStart, diameter, minWall } adds each rib's dowel hole where it fits with
+ *          minWall to spare (see analyzeRingWidths), or null
+ *   kerf: beam width in inches; outer contours move out and holes move in by half of it
+ *   mark: { pivotStart } scores an alignment cross at the pivot of each rib without a dowel hole (or null)
+ *   tabs: { positions, width } leaves tabs (see tabs.js) uncut on every nest, or on the outer
+ *         contour of every ring part, breaking those contours into open pieces (or null)
+ *
+ * The SVG exporters also take:
+ *   units: 'in' (default) | 'mm' document units
+ *   colors: { cut, score, engrave } colours of the laser operation layers (default LASER_COLORS)
+ *   labels: 'score' (default) | 'engrave' | 'none' how parts are marked with their layer number
+ *
+ * Every SVG group (a shape, or a ring part) holds one <g> per operation, e.g. layer-3-cut
+ * and layer-3-score, so laser software can assign cut, score and engrave settings by colour.
+ * Engraving and scoring come before cutting, and the cut paths are written in the order
+ * orderCuts picks (holes before the contours around them, nearest next). The SVG exporters
+ * report that order's rapid travel as `travel` and the travel of the plain input order (still
+ * inside-first) as `unorderedTravel`.
+ */
+
+// LightBurn and RDWorks assign layers by colour; these are entries 02 (red), 01 (blue)
+// and 00 (black) of their shared palette
+export const LASER_COLORS = { cut: '#ff0000', score: '#0000ff', engrave: '#000000' };
+
+const SVG_UNITS = { in: 1, mm: 25.4 }; // Document units per inch
+const PIVOT_MARK_SIZE = 0.25; // inches across
+
+/**
+ * Writes the raw nested curves on one sheet, each shape's nests in its own group.
+ * Returns { svg, travel, unorderedTravel }.
+ * Each inner curve here is both the hole of one ring and the outer contour of the
+ * next, so only the base curve (outward) and the innermost curve (inward) get kerf
+ * compensation. A shared curve can't be: one ring needs the beam inside it and the other
+ * outside, so it stays on the line and both rings lose half the kerf there. The editor
+ * says so next to the kerf setting; the part exports (getRingParts) compensate every path.
+ */
+export function generateExportString(shapeNests, options = {}) {
+    const { dowel = null, mark = null, kerf = 0, tabs = null } = options;
+    const doc = svgSettings(options);
+    const shapePaths = shapeNests.map(nests => nests.map((nest, k) => {
+        if (k === 0) return kerfOffset(nest, kerf / 2);
+        if (k === nests.length - 1) return kerfOffset(nest, -kerf / 2);
+        return nest;
+    }));
+    const paths = shapePaths.flat();
+
     // Find global BBox to set viewBox
+    // Every nest is checked: a drifting or off-centre convergence point can
+    // push inner curves past the base curve
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-
-    // We only strictly need BBox of the biggest curve (base curve) usually,
-    // but the convergence point might pull inner curves outside if s > 1 (unlikely for nesting inwards)
-    // or if C is far outside.
-    // Iterating all points is safest.
-
-    // To simplify: we track points in all nests
-    for (const path of nests) {
-        for (const seg of path) {
-            minX = Math.min(minX, seg.p1.x, seg.c1.x, seg.c2.x, seg.p2.x);
-            maxX = Math.max(maxX, seg.p1.x, seg.c1.x, seg.c2.x, seg.p2.x);
-            minY = Math.min(minY, seg.p1.y, seg.c1.y, seg.c2.y, seg.p2.y);
-            maxY = Math.max(maxY, seg.p1.y, seg.c1.y, seg.c2.y, seg.p2.y);
-        }
+    for (const path of paths) {
+        const bbox = getPathBBox(path);
+        minX = Math.min(minX, bbox.minX);
+        minY = Math.min(minY, bbox.minY);
+        maxX = Math.max(maxX, bbox.maxX);
+        maxY = Math.max(maxY, bbox.maxY);
     }
 
     // Add some padding
@@ -31,24 +79,513 @@ export function generateExportString(nests) {
     const width = maxX - minX;
     const height = maxY - minY;
 
-    let svg = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n`;
-    svg += `<svg width="${width.toFixed(4)}in" height="${height.toFixed(4)}in" viewBox="${minX.toFixed(4)} ${minY.toFixed(4)} ${width.toFixed(4)} ${height.toFixed(4)}" xmlns="http://www.w3.org/2000/svg">\n`;
+    let svg = svgHeader(minX, minY, width, height, doc);
 
-    svg += `  <style>
-    path { vector-effect: non-scaling-stroke; stroke-width: 0.01in; fill: none; stroke: black; }
-  </style>\n`;
+    svg += svgStyle(0.25, doc);
+
+    const cuts = shapePaths.map(paths => [...paths]);
+    const marks = shapePaths.map(() => []);
+    if (dowel || mark) {
+        shapeNests.forEach((nests, i) => {
+            getRingParts(nests, { dowel, mark, kerf }).forEach(ring => {
+                if (ring.dowel) cuts[i].push(ring.dowel);
+                if (ring.mark) marks[i].push(`<path d="${svgD(ring.mark, doc, true)}" />`);
+            });
+        });
+    }
+
+    // The head starts at the top-left corner of the drawing
+    const order = orderCuts(cuts, { x: minX, y: minY });
+    order.groups.forEach(({ index, paths, sources }) => {
+        const id = `shape-${index + 1}`;
+        const nestCount = shapeNests[index].length;
+        const cut = paths.map((path, i) => cutPathSvg(path, sources[i], sources[i].index < nestCount ? tabs : null, doc));
+        const ops = { score: marks[index], cut };
+
+        svg += `  <g id="${id}">\n`;
+        svg += operationGroups(id, ops, doc);
+        svg += `  </g>\n`;
+    });
+
+    svg += `</svg>`;
+
+    return { svg, travel: order.travel, unorderedTravel: order.unorderedTravel };
+}
+
+/**
+ * Writes the nests as a DXF drawing in inches for CNC routers and waterjets.
+ * Paths get the same kerf compensation and tabs as generateExportString (the pieces
+ * between tabs become open polylines or splines); every nest is on
+ * its own layer (NEST-1 = base curve, or S2-NEST-1 with several shapes) and dowel
+ * holes on DOWEL. The y axis is flipped since DXF points up.
+ *
+ * options.dxfCurves picks the entity type:
+ *   'polyline' (default) closed R12 polylines, flattened to within options.tolerance inches
+ *   'spline' closed cubic splines carrying the exact Bezier control points, in an R2000
+ *            file (see dxfR2000)
+ */
+export function generateDxfString(shapeNests, options = {}) {
+    const { dowel = null, kerf = 0, tabs = null, dxfCurves = 'polyline', tolerance = 0.001 } = options;
+    const multiple = shapeNests.length > 1;
+
+    const items = []; // { layer, path, open }
+    shapeNests.forEach((nests, i) => {
+        const prefix = multiple ? `S${i + 1}-` : '';
+        nests.forEach((nest, k) => {
+            let path = nest;
+            if (k === 0) path = kerfOffset(nest, kerf / 2);
+            else if (k === nests.length - 1) path = kerfOffset(nest, -kerf / 2);
+            const layer = `${prefix}NEST-${k + 1}`;
+            const pieces = tabs && breakForTabs(path, tabs.positions, tabs.width);
+            if (pieces) pieces.forEach(piece => items.push({ layer, path: piece, open: true }));
+            else items.push({ layer, path });
+        });
+        if (dowel) {
+            getRingParts(nests, { dowel, kerf }).forEach(ring => {
+                if (ring.dowel) items.push({ layer: 'DOWEL', path: ring.dowel });
+            });
+        }
+    });
+
+    const layers = [...new Set(items.map(item => item.layer))];
+    if (dxfCurves === 'spline') return dxfR2000(items, layers);
+
+    // R12 has no units variables ($INSUNITS and $MEASUREMENT came later); its
+    // drawings are unitless and read as inches by default
+    let dxf = dxfPair(0, 'SECTION') + dxfPair(2, 'HEADER');
+    dxf += dxfPair(9, '$ACADVER') + dxfPair(1, 'AC1009');
+    dxf += dxfPair(0, 'ENDSEC');
+
+    // Every layer draws with CONTINUOUS, which strict readers expect defined
+    dxf += dxfPair(0, 'SECTION') + dxfPair(2, 'TABLES');
+    dxf += dxfPair(0, 'TABLE') + dxfPair(2, 'LTYPE') + dxfPair(70, 1);
+    dxf += dxfPair(0, 'LTYPE') + dxfPair(2, 'CONTINUOUS') + dxfPair(70, 0) + dxfPair(3, 'Solid line');
+    dxf += dxfPair(72, 65) + dxfPair(73, 0) + dxfPair(40, 0);
+    dxf += dxfPair(0, 'ENDTAB');
+    dxf += dxfPair(0, 'TABLE') + dxfPair(2, 'LAYER') + dxfPair(70, layers.length);
+    layers.forEach((name, i) => {
+        // ACI colours 1-7 in turn so neighbouring nests are easy to tell apart
+        dxf += dxfPair(0, 'LAYER') + dxfPair(2, name) + dxfPair(70, 0) + dxfPair(62, (i % 7) + 1) + dxfPair(6, 'CONTINUOUS');
+    });
+    dxf += dxfPair(0, 'ENDTAB') + dxfPair(0, 'ENDSEC');
+
+    dxf += dxfPair(0, 'SECTION') + dxfPair(2, 'ENTITIES');
+    items.forEach(({ layer, path, open = false }) => {
+        dxf += dxfPolyline(path, layer, tolerance, open);
+    });
+    dxf += dxfPair(0, 'ENDSEC') + dxfPair(0, 'EOF');
+
+    return dxf;
+}
+
+// R2000 (AC1015) drawing of splines. Unlike R12, AutoCAD and most CAM importers only
+// open an R2000 file with its full structure: a handle (group 5) and owner (330) on
+// every object, subclass markers (100), the standard table entries, model and paper
+// space block records and blocks, and a root dictionary in OBJECTS.
+function dxfR2000(items, layers) {
+    let next = 1;
+    const handle = () => (next++).toString(16).toUpperCase();
+
+    // Tables and their entries; each entry gets the records after its name
+    const tables = [
+        { name: 'VPORT', entries: [] },
+        {
+            name: 'LTYPE', record: 'AcDbLinetypeTableRecord', entries: [
+                { name: 'ByBlock', body: dxfPair(70, 0) + dxfPair(3, '') + dxfPair(72, 65) + dxfPair(73, 0) + dxfPair(40, 0) },
+                { name: 'ByLayer', body: dxfPair(70, 0) + dxfPair(3, '') + dxfPair(72, 65) + dxfPair(73, 0) + dxfPair(40, 0) },
+                { name: 'Continuous', body: dxfPair(70, 0) + dxfPair(3, 'Solid line') + dxfPair(72, 65) + dxfPair(73, 0) + dxfPair(40, 0) }
+            ]
+        },
+        {
+            // ACI colours 1-7 in turn so neighbouring nests are easy to tell apart
+            name: 'LAYER', record: 'AcDbLayerTableRecord', entries: ['0', ...layers.filter(name => name !== '0')].map((name, i) => ({
+                name, body: dxfPair(70, 0) + dxfPair(62, name === '0' ? 7 : ((i - 1) % 7) + 1) + dxfPair(6, 'Continuous')
+            }))
+        },
+        {
+            name: 'STYLE', record: 'AcDbTextStyleTableRecord', entries: [
+                { name: 'Standard', body: dxfPair(70, 0) + dxfPair(40, 0) + dxfPair(41, 1) + dxfPair(50, 0) + dxfPair(71, 0) + dxfPair(42, 0.2) + dxfPair(3, 'txt') + dxfPair(4, '') }
+            ]
+        },
+        { name: 'VIEW', entries: [] },
+        { name: 'UCS', entries: [] },
+        { name: 'APPID', record: 'AcDbRegAppTableRecord', entries: [{ name: 'ACAD', body: dxfPair(70, 0) }] },
+        { name: 'DIMSTYLE', record: 'AcDbDimStyleTableRecord', entries: [{ name: 'Standard', body: dxfPair(70, 0) }] },
+        {
+            name: 'BLOCK_RECORD', record: 'AcDbBlockTableRecord', entries: [
+                { name: '*Model_Space', body: '' },
+                { name: '*Paper_Space', body: '' }
+            ]
+        }
+    ];
+
+    let body = dxfPair(0, 'SECTION') + dxfPair(2, 'CLASSES') + dxfPair(0, 'ENDSEC');
+
+    body += dxfPair(0, 'SECTION') + dxfPair(2, 'TABLES');
+    const blockRecords = {};
+    tables.forEach(table => {
+        const tableHandle = handle();
+        const entryHandles = table.entries.map(() => handle());
+        body += dxfPair(0, 'TABLE') + dxfPair(2, table.name) + dxfPair(5, tableHandle) + dxfPair(330, 0);
+        body += dxfPair(100, 'AcDbSymbolTable') + dxfPair(70, table.entries.length);
+        // DIMSTYLE has its own table subclass listing its entries, which keep their handle in 105
+        if (table.name === 'DIMSTYLE') {
+            body += dxfPair(100, 'AcDbDimStyleTable') + dxfPair(71, table.entries.length);
+            entryHandles.forEach(h => { body += dxfPair(340, h); });
+        }
+        table.entries.forEach((entry, i) => {
+            const entryHandle = entryHandles[i];
+            if (table.name === 'BLOCK_RECORD') blockRecords[entry.name] = entryHandle;
+            body += dxfPair(0, table.name) + dxfPair(table.name === 'DIMSTYLE' ? 105 : 5, entryHandle) + dxfPair(330, tableHandle);
+            body += dxfPair(100, 'AcDbSymbolTableRecord') + dxfPair(100, table.record);
+            body += dxfPair(2, entry.name) + entry.body;
+        });
+        body += dxfPair(0, 'ENDTAB');
+    });
+    body += dxfPair(0, 'ENDSEC');
+
+    body += dxfPair(0, 'SECTION') + dxfPair(2, 'BLOCKS');
+    ['*Model_Space', '*Paper_Space'].forEach(name => {
+        const owner = blockRecords[name];
+        const paper = name === '*Paper_Space' ? dxfPair(67, 1) : '';
+        body += dxfPair(0, 'BLOCK') + dxfPair(5, handle()) + dxfPair(330, owner) + dxfPair(100, 'AcDbEntity') + paper + dxfPair(8, '0');
+        body += dxfPair(100, 'AcDbBlockBegin') + dxfPair(2, name) + dxfPair(70, 0);
+        body += dxfPair(10, 0) + dxfPair(20, 0) + dxfPair(30, 0) + dxfPair(3, name) + dxfPair(1, '');
+        body += dxfPair(0, 'ENDBLK') + dxfPair(5, handle()) + dxfPair(330, owner) + dxfPair(100, 'AcDbEntity') + paper + dxfPair(8, '0');
+        body += dxfPair(100, 'AcDbBlockEnd');
+    });
+    body += dxfPair(0, 'ENDSEC');
+
+    body += dxfPair(0, 'SECTION') + dxfPair(2, 'ENTITIES');
+    items.forEach(({ layer, path, open = false }) => {
+        body += dxfSpline(path, layer, open, handle(), blockRecords['*Model_Space']);
+    });
+    body += dxfPair(0, 'ENDSEC');
+
+    // Root dictionary, holding the (empty) group dictionary AutoCAD expects
+    const root = handle();
+    const groups = handle();
+    body += dxfPair(0, 'SECTION') + dxfPair(2, 'OBJECTS');
+    body += dxfPair(0, 'DICTIONARY') + dxfPair(5, root) + dxfPair(330, 0) + dxfPair(100, 'AcDbDictionary') + dxfPair(281, 1);
+    body += dxfPair(3, 'ACAD_GROUP') + dxfPair(350, groups);
+    body += dxfPair(0, 'DICTIONARY') + dxfPair(5, groups) + dxfPair(330, root) + dxfPair(100, 'AcDbDictionary') + dxfPair(281, 1);
+    body += dxfPair(0, 'ENDSEC') + dxfPair(0, 'EOF');
+
+    let header = dxfPair(0, 'SECTION') + dxfPair(2, 'HEADER');
+    header += dxfPair(9, '$ACADVER') + dxfPair(1, 'AC1015');
+    header += dxfPair(9, '$HANDSEED') + dxfPair(5, handle()); // Next free handle
+    header += dxfPair(9, '$INSUNITS') + dxfPair(70, 1); // Inches
+    header += dxfPair(9, '$MEASUREMENT') + dxfPair(70, 0); // Imperial
+    header += dxfPair(0, 'ENDSEC');
+
+    return header + body;
+}
+
+// One DXF group: code line, value line
+function dxfPair(code, value) {
+    return `${code}\n${value}\n`;
+}
+
+// R12 polyline through the flattened path, closed unless it is an open piece between tabs
+function dxfPolyline(path, layer, tolerance, open = false) {
+    let dxf = dxfPair(0, 'POLYLINE') + dxfPair(8, layer) + dxfPair(66, 1);
+    dxf += dxfPair(10, 0) + dxfPair(20, 0) + dxfPair(30, 0) + dxfPair(70, open ? 0 : 1);
+    const points = flattenForDxf(path, tolerance);
+    if (open) points.push(path[path.length - 1].p2);
+    points.forEach(p => {
+        dxf += dxfPair(0, 'VERTEX') + dxfPair(8, layer);
+        dxf += dxfPair(10, p.x.toFixed(6)) + dxfPair(20, (-p.y).toFixed(6)) + dxfPair(30, 0);
+    });
+    dxf += dxfPair(0, 'SEQEND') + dxfPair(8, layer);
+    return dxf;
+}
+
+// Piecewise Bezier path as one clamped cubic B-spline: every segment's control
+// points in a row, each interior knot repeated three times. Closed unless it is an
+// open piece between tabs; owner is the model space block record's handle.
+function dxfSpline(path, layer, open, entityHandle, owner) {
+    const controls = [path[0].p1];
+    path.forEach(seg => controls.push(seg.c1, seg.c2, seg.p2));
+    const knots = [0, 0, 0, 0];
+    for (let i = 1; i < path.length; i++) knots.push(i, i, i);
+    knots.push(path.length, path.length, path.length, path.length);
+
+    let dxf = dxfPair(0, 'SPLINE') + dxfPair(5, entityHandle) + dxfPair(330, owner);
+    dxf += dxfPair(100, 'AcDbEntity') + dxfPair(8, layer) + dxfPair(100, 'AcDbSpline');
+    dxf += dxfPair(210, 0) + dxfPair(220, 0) + dxfPair(230, 1); // Normal
+    dxf += dxfPair(70, open ? 8 : 9); // Planar, and closed
+    dxf += dxfPair(71, 3) + dxfPair(72, knots.length) + dxfPair(73, controls.length) + dxfPair(74, 0);
+    dxf += dxfPair(42, '0.0000000001') + dxfPair(43, '0.0000000001'); // Knot and control point tolerances
+    knots.forEach(k => { dxf += dxfPair(40, k); });
+    controls.forEach(p => {
+        dxf += dxfPair(10, p.x.toFixed(6)) + dxfPair(20, (-p.y).toFixed(6)) + dxfPair(30, 0);
+    });
+    return dxf;
+}
+
+// Points along a path (without repeating the start at the end); each segment gets
+// enough even steps that the chord error (at most |B''| / 8n^2) stays below tolerance
+function flattenForDxf(path, tolerance) {
+    const pts = [];
+    path.forEach(seg => {
+        const dd = Math.max(
+            Math.hypot(seg.p1.x - 2 * seg.c1.x + seg.c2.x, seg.p1.y - 2 * seg.c1.y + seg.c2.y),
+            Math.hypot(seg.c1.x - 2 * seg.c2.x + seg.p2.x, seg.c1.y - 2 * seg.c2.y + seg.p2.y)
+        );
+        const steps = Math.min(Math.max(Math.ceil(Math.sqrt(6 * dd / (8 * tolerance))), 1), 200);
+        for (let i = 0; i < steps; i++) {
+            pts.push(getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, i / steps));
+        }
+    });
+    return pts;
+}
+
+/**
+ * Splits the nests into the individual rings that update3D extrudes.
+ * Ring k is the area between nests[k] (outer) and nests[k + 1] (hole),
+ * numbered from 1 at the bottom of the stack.
+ * With options.dowel each ring also gets a `dowel` circle at its pivot, unless the
+ * ring is too narrow there for the hole; with options.mark rings without a dowel get
+ * an open `mark` cross there instead. Pivots are the ones update3D stacks the ribs on
+ * (see getStackPivots): centred in the ring with dowels, on the outer curve without.
+ * options.kerf is applied to the outer, hole and dowel paths.
+ */
+export function getRingParts(nests, options = {}) {
+    const { dowel = null, mark = null, kerf = 0 } = options;
+    const pivots = dowel || mark ? getStackPivots(nests, (dowel || mark).pivotStart, Boolean(dowel)) : [];
+    const rings = [];
+    for (let k = 0; k < nests.length - 1; k++) {
+        const ring = {
+            layer: k + 1,
+            outer: kerfOffset(nests[k], kerf / 2),
+            hole: kerfOffset(nests[k + 1], -kerf / 2)
+        };
+        if (dowel || mark) {
+            const pivot = pivots[k];
+            const fits = dowel && dowelFits(getPivotWidth(nests[k], nests[k + 1], dowel.pivotStart), dowel.diameter, dowel.minWall || 0);
+            if (pivot && fits) ring.dowel = getCirclePath(pivot, Math.max(dowel.diameter - kerf, 0) / 2);
+            else if (pivot && mark) ring.mark = getCrossPath(pivot, PIVOT_MARK_SIZE);
+        }
+        rings.push(ring);
+    }
+    return rings;
+}
+
+/**
+ * Ring parts of every shape. With more than one shape each part also carries
+ * its 1-based `shape` number, which labels and group ids then include.
+ */
+export function getShapeParts(shapeNests, options = {}) {
+    const multiple = shapeNests.length > 1;
+    return shapeNests.flatMap((nests, i) => getRingParts(nests, options)
+        .map(ring => multiple ? { ...ring, shape: i + 1 } : ring));
+}
+
+/**
+ * Cut sheet with every ring as its own closed part (outer contour + hole),
+ * laid out on a grid and labelled with its layer number.
+ * Returns { svg, travel, unorderedTravel }.
+ */
+export function generateLayerExportString(shapeNests, options = {}) {
+    const doc = svgSettings(options);
+    const rings = getShapeParts(shapeNests, options);
+    if (rings.length === 0) return generateExportString(shapeNests, options);
+
+    const gap = 0.25;        // inches between parts
+    const labelSize = 0.25;  // label font size in inches
+
+    // Every ring fits inside its shape's base ring, so the largest base box serves all
+    const boxes = rings.map(ring => getPathBBox(ring.outer));
+    const cellW = Math.max(...boxes.map(b => b.width)) + gap;
+    const cellH = Math.max(...boxes.map(b => b.height)) + labelSize + gap * 2;
+    const cols = Math.ceil(Math.sqrt(rings.length));
+    const rows = Math.ceil(rings.length / cols);
+
+    const padding = 0.5;
+    const width = cols * cellW - gap + padding * 2;
+    const height = rows * cellH - gap + padding * 2;
+
+    let svg = svgHeader(0, 0, width, height, doc);
+
+    svg += svgStyle(labelSize, doc);
 
-    nests.forEach(nest => {
-        svg += `  <path d="${pathToSvgD(nest)}" />\n`;
+    const entries = rings.map((ring, i) => {
+        const bbox = boxes[i];
+        const x = padding + (i % cols) * cellW;
+        const y = padding + Math.floor(i / cols) * cellH;
+        const part = mapPartPaths(ring, path => translatePath(path, x - bbox.minX, y - bbox.minY));
+
+        return { part, label: { x, y: y + bbox.height + gap + labelSize } };
     });
 
+    const parts = partsSvg(entries, doc);
+    svg += parts.svg;
     svg += `</svg>`;
 
+    return { svg, travel: parts.travel, unorderedTravel: parts.unorderedTravel };
+}
+
+/**
+ * Packs the rings onto stock sheets and writes one SVG per sheet.
+ * Labels sit in the middle of each part's hole.
+ * Returns { files: [svg], sheetCount, utilisation, oversize: [part name], travel, unorderedTravel }
+ * with the travel summed over all sheets.
+ */
+export function generateSheetExportStrings(shapeNests, sheetW, sheetH, gap, options = {}) {
+    const doc = svgSettings(options);
+    const labelSize = 0.25;
+    const packed = packRings(getShapeParts(shapeNests, options), sheetW, sheetH, gap);
+
+    let travel = 0;
+    let unorderedTravel = 0;
+    const files = packed.sheets.map(parts => {
+        let svg = svgHeader(0, 0, sheetW, sheetH, doc);
+        svg += svgStyle(labelSize, doc);
+
+        const entries = parts.map(part => {
+            const holeBBox = getPathBBox(part.hole);
+            const label = {
+                x: holeBBox.minX + holeBBox.width / 2,
+                y: holeBBox.minY + holeBBox.height / 2,
+                centered: true
+            };
+            return { part, label };
+        });
+
+        const written = partsSvg(entries, doc);
+        travel += written.travel;
+        unorderedTravel += written.unorderedTravel;
+        svg += written.svg;
+        svg += `</svg>`;
+        return svg;
+    });
+
+    return {
+        files,
+        sheetCount: files.length,
+        utilisation: packed.utilisation,
+        oversize: packed.oversize.map(partName),
+        travel,
+        unorderedTravel
+    };
+}
+
+// Offset for kerf compensation, trimming the loops sharp corners leave behind
+function kerfOffset(path, distance) {
+    if (distance === 0) return path;
+    return removeSelfIntersections(offsetPath(path, distance)) || path;
+}
+
+// Alignment cross as an open path of two straight cubics, size inches across
+function getCrossPath(center, size) {
+    const line = (a, b) => ({
+        p1: a,
+        c1: { x: a.x + (b.x - a.x) / 3, y: a.y + (b.y - a.y) / 3 },
+        c2: { x: a.x + (b.x - a.x) * 2 / 3, y: a.y + (b.y - a.y) * 2 / 3 },
+        p2: b
+    });
+    const r = size / 2;
+    return [
+        line({ x: center.x - r, y: center.y }, { x: center.x + r, y: center.y }),
+        line({ x: center.x, y: center.y - r }, { x: center.x, y: center.y + r })
+    ];
+}
+
+// Units, operation colours, label mode and tabs of an SVG export
+function svgSettings(options) {
+    const { units = 'in', colors = {}, labels = 'score', tabs = null } = options;
+    return { units, scale: SVG_UNITS[units], colors: { ...LASER_COLORS, ...colors }, labels, tabs };
+}
+
+// Path data in document units; open paths (marks) are not closed
+function svgD(path, doc, open = false) {
+    const scaled = doc.scale === 1 ? path : scalePath(path, doc.scale);
+    return open ? openPathToSvgD(scaled) : pathToSvgD(scaled);
+}
+
+// Stroke and fill live on the operation groups, not here, so each group's colour applies
+function svgStyle(labelSize, doc) {
+    return `  <style>
+    path, text { vector-effect: non-scaling-stroke; stroke-width: 0.01in; }
+    path { fill-rule: evenodd; }
+    text { font-family: sans-serif; font-size: ${(labelSize * doc.scale).toFixed(4)}px; }
+  </style>\n`;
+}
+
+// One <g> per non-empty operation, painted as presentation attributes (laser software
+// reads these more reliably than CSS). Cuts and scores are strokes; engraving is filled.
+function operationGroups(id, ops, doc) {
+    let svg = '';
+    for (const [operation, elements] of Object.entries(ops)) {
+        if (elements.length === 0) continue;
+        const color = doc.colors[operation];
+        const paint = operation === 'engrave' ? `fill="${color}" stroke="none"` : `fill="none" stroke="${color}"`;
+        svg += `    <g id="${id}-${operation}" ${paint}>\n`;
+        elements.forEach(element => { svg += `      ${element}\n`; });
+        svg += `    </g>\n`;
+    }
+    return svg;
+}
+
+// Layer number, prefixed with the shape number when there are several shapes
+function partName(part) {
+    return part.shape ? `${part.shape}-${part.layer}` : `${part.layer}`;
+}
+
+// Parts in cut order (the sheet origin being the head's start), with their travel
+function partsSvg(entries, doc) {
+    const order = orderCuts(entries.map(({ part }) => [part.outer, part.hole, part.dowel].filter(Boolean)));
+    const svg = order.groups.map(({ index, paths, sources }) => {
+        // Only the outer contour (input 0) takes tabs
+        const cuts = paths.map((path, i) => cutPathSvg(path, sources[i], sources[i].index === 0 ? doc.tabs : null, doc));
+        return partSvg(entries[index].part, entries[index].label, cuts, doc);
+    }).join('');
+    return { svg, travel: order.travel, unorderedTravel: order.unorderedTravel };
+}
+
+// A contour as restarted by orderCuts, broken into open pieces if it takes tabs. The tab
+// positions are measured on the source path, so they follow its reversal and new start.
+function cutPathSvg(path, source, tabs, doc) {
+    if (tabs) {
+        const positions = tabs.positions.map(s => (source.reversed ? 1 - s : s) - source.start);
+        const pieces = breakForTabs(path, positions, tabs.width);
+        if (pieces) return `<path d="${svgD(pieces.flat(), doc, true)}" />`;
+    }
+    return `<path d="${svgD(path, doc)}" />`;
+}
+
+// One ring: its layer number, pivot mark and its cut path elements (already in cut order)
+function partSvg(part, label, cuts, doc) {
+    const anchor = label.centered ? ` text-anchor="middle" dominant-baseline="middle"` : '';
+    const ops = { engrave: [], score: [], cut: cuts };
+    if (part.mark) ops.score.push(`<path d="${svgD(part.mark, doc, true)}" />`);
+    if (doc.labels !== 'none') {
+        const x = (label.x * doc.scale).toFixed(4);
+        const y = (label.y * doc.scale).toFixed(4);
+        ops[doc.labels].push(`<text x="${x}" y="${y}"${anchor}>${partName(part)}</text>`);
+    }
+
+    const id = part.shape ? `shape-${part.shape}-layer-${part.layer}` : `layer-${part.layer}`;
+    let svg = `  <g id="${id}">\n`;
+    svg += operationGroups(id, ops, doc);
+    svg += `  </g>\n`;
+    return svg;
+}
+
+// Size and viewBox given in inches, written in the document units
+function svgHeader(minX, minY, width, height, doc) {
+    const [x, y, w, h] = [minX, minY, width, height].map(v => (v * doc.scale).toFixed(4));
+    let svg = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n`;
+    svg += `<svg width="${w}${doc.units}" height="${h}${doc.units}" viewBox="${x} ${y} ${w} ${h}" xmlns="http://www.w3.org/2000/svg">\n`;
     return svg;
 }
 
 export function downloadSvg(content, filename = "organic-curve.svg") {
-    const blob = new Blob([content], { type: 'image/svg+xml' });
+    downloadFile(content, filename, 'image/svg+xml');
+}
+
+export function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -0,0 +1,200 @@
+import { getCatmullRomBezierPath, getPathBBox, getPathCentroid } from './math.js';
+
+// Shape Generators
+//
+// Parametric starting shapes, emitted as Catmull-Rom control points for state.points.
+// Each generator builds its outline around the origin at roughly unit radius, running
+// clockwise on screen like the default shape; generateShape then scales it to the
+// requested size and places it. All randomness comes from the seed, so the same
+// generator, parameters and seed always give the same points.
+//
+// Points use the spline's own controls for sharpness: `corner` breaks the tangent,
+// and a low `tension` pinches the curve so neighbouring segments run almost straight.
+
+/**
+ * Seeded pseudo-random generator (mulberry32). Returns a function giving
+ * numbers in [0, 1), the same sequence for the same integer seed.
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Parameter lists drive the generator panel: { key, label, min, max, step, value (default) }
+const JITTER = { key: 'jitter', label: 'Jitter', min: 0, max: 0.3, step: 0.01, value: 0 };
+
+export const GENERATORS = {
+    superellipse: {
+        name: 'Superellipse',
+        params: [
+            { key: 'exponent', label: 'Exponent', min: 0.5, max: 8, step: 0.1, value: 4 },
+            { key: 'aspect', label: 'Aspect', min: 0.3, max: 3, step: 0.1, value: 1.5 },
+            { key: 'count', label: 'Points', min: 8, max: 32, step: 1, value: 16 },
+            JITTER
+        ],
+        build: ({ exponent, aspect, count }) => ring(count, t => {
+            const c = Math.cos(t);
+            const s = Math.sin(t);
+            return {
+                x: aspect * Math.sign(c) * Math.abs(c) ** (2 / exponent),
+                y: Math.sign(s) * Math.abs(s) ** (2 / exponent)
+            };
+        })
+    },
+    roundedPolygon: {
+        name: 'Rounded Polygon',
+        params: [
+            { key: 'sides', label: 'Sides', min: 3, max: 12, step: 1, value: 5 },
+            { key: 'roundness', label: 'Round', min: 0, max: 1, step: 0.05, value: 0.4 },
+            JITTER
+        ],
+        // Vertices set the corner rounding through their tension; the edge midpoints
+        // sit between two collinear neighbours and keep the sides straight
+        build: ({ sides, roundness }) => ring(sides * 2, (t, i) => {
+            const vertex = i % 2 === 0;
+            const r = vertex ? 1 : Math.cos(Math.PI / sides);
+            const point = { x: r * Math.sin(t), y: -r * Math.cos(t) };
+            return vertex ? { ...point, tension: roundness * 0.5 } : point;
+        })
+    },
+    blob: {
+        name: 'Blob',
+        params: [
+            { key: 'count', label: 'Points', min: 5, max: 16, step: 1, value: 8 },
+            { key: 'noise', label: 'Noise', min: 0, max: 0.6, step: 0.05, value: 0.3 },
+            JITTER
+        ],
+        // Radial noise, smoothed with the neighbours so the outline stays round
+        build: ({ count, noise }, random) => {
+            const raw = Array.from({ length: count }, () => random() * 2 - 1);
+            const smooth = raw.map((v, i) => (raw[(i - 1 + count) % count] + 2 * v + raw[(i + 1) % count]) / 4);
+            return ring(count, (t, i) => {
+                const r = 1 + noise * smooth[i];
+                return { x: r * Math.cos(t), y: r * Math.sin(t) };
+            });
+        }
+    },
+    leaf: {
+        name: 'Leaf',
+        params: [
+            { key: 'width', label: 'Width', min: 0.2, max: 1, step: 0.05, value: 0.5 },
+            { key: 'lean', label: 'Lean', min: -0.5, max: 0.5, step: 0.05, value: 0.15 },
+            { key: 'count', label: 'Points', min: 3, max: 8, step: 1, value: 4 },
+            JITTER
+        ],
+        // Pointed at both ends; lean moves the widest part toward the stem or the tip
+        build: ({ width, lean, count }) => {
+            const side = dir => Array.from({ length: count }, (_, i) => {
+                const u = (i + 1) / (count + 1);
+                const bulge = Math.sin(Math.PI * u) * (1 + lean * Math.cos(Math.PI * u));
+                return { x: dir * width * bulge, y: 2 * u - 1 };
+            });
+            return [
+                { x: 0, y: -1, corner: true },
+                ...side(1),
+                { x: 0, y: 1, corner: true },
+                ...side(-1).reverse()
+            ];
+        }
+    },
+    teardrop: {
+        name: 'Teardrop',
+        params: [
+            { key: 'sharpness', label: 'Sharp', min: 0.5, max: 4, step: 0.1, value: 1.5 },
+            { key: 'count', label: 'Points', min: 6, max: 24, step: 1, value: 12 },
+            JITTER
+        ],
+        // x = sin t * sin^m (t / 2), y = -cos t: point at the top, round at the bottom
+        build: ({ sharpness, count }) => ring(count, (t, i) => {
+            const point = { x: Math.sin(t) * Math.sin(t / 2) ** sharpness, y: -Math.cos(t) };
+            return i === 0 ? { ...point, corner: true } : point;
+        })
+    },
+    star: {
+        name: 'Star',
+        params: [
+            { key: 'arms', label: 'Arms', min: 3, max: 12, step: 1, value: 5 },
+            { key: 'inner', label: 'Inner', min: 0.2, max: 0.9, step: 0.05, value: 0.5 },
+            { key: 'roundness', label: 'Round', min: 0, max: 1, step: 0.05, value: 0.2 },
+            JITTER
+        ],
+        build: ({ arms, inner, roundness }) => ring(arms * 2, (t, i) => {
+            const r = i % 2 === 0 ? 1 : inner;
+            return { x: r * Math.sin(t), y: -r * Math.cos(t), tension: roundness * 0.5 };
+        })
+    },
+    heart: {
+        name: 'Heart',
+        params: [
+            { key: 'count', label: 'Points', min: 8, max: 32, step: 2, value: 16 },
+            JITTER
+        ],
+        // The classic heart curve, with corners at the top dip and the bottom point
+        build: ({ count }) => ring(count, (t, i) => ({
+            x: 16 * Math.sin(t) ** 3 / 17,
+            y: -(13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t)) / 17,
+            ...(i === 0 || i === count / 2 ? { corner: true } : {})
+        }))
+    }
+};
+
+/**
+ * Builds a generator's control points.
+ * @param {string} type - key of GENERATORS
+ * @param {Object} params - parameter values by key; missing ones use the defaults, and
+ *   values are clamped to the parameter's range (and whole steps for counts)
+ * @param {number} seed - integer seed for the noise and jitter
+ * @param {{x, y}} center - where the shape's box is centred
+ * @param {number} size - the larger side of the shape's box in inches
+ * @returns {{ points: Array, convergence: {x, y} }} points for state.points, and the
+ *   outline's centroid as a convergence point
+ */
+export function generateShape(type, params, seed, center, size) {
+    const generator = GENERATORS[type];
+    const values = {};
+    generator.params.forEach(p => {
+        const value = Number.isFinite(params[p.key]) ? params[p.key] : p.value;
+        const clamped = Math.min(p.max, Math.max(p.min, value));
+        values[p.key] = p.step >= 1 ? p.min + Math.round((clamped - p.min) / p.step) * p.step : clamped;
+    });
+
+    const random = createRandom(seed);
+    let points = generator.build(values, random);
+
+    // Radial wobble on every point, drawn after the generator's own noise
+    if (values.jitter > 0) {
+        points = points.map(p => {
+            const f = 1 + values.jitter * (random() * 2 - 1);
+            return { ...p, x: p.x * f, y: p.y * f };
+        });
+    }
+
+    // Fit the curve (not just its points) into the requested box
+    const bbox = getPathBBox(getCatmullRomBezierPath(points));
+    const scale = size / Math.max(bbox.width, bbox.height);
+    const cx = bbox.minX + bbox.width / 2;
+    const cy = bbox.minY + bbox.height / 2;
+    points = points.map(p => ({
+        ...p,
+        x: round(center.x + (p.x - cx) * scale),
+        y: round(center.y + (p.y - cy) * scale)
+    }));
+
+    const centroid = getPathCentroid(getCatmullRomBezierPath(points));
+    return { points, convergence: { x: round(centroid.x), y: round(centroid.y) } };
+}
+
+// fn(t, i) at count even steps of t around [0, 2pi)
+function ring(count, fn) {
+    return Array.from({ length: count }, (_, i) => fn((i / count) * Math.PI * 2, i));
+}
+
+function round(v) {
+    return Math.round(v * 10000) / 10000;
+}
@@ -1,13 +1,32 @@
 
 import {
     state, subscribe, addPoint, updatePoint, setConvergence, deletePoint,
-    setStartScale, setEndScale, setMinSize,
-    setViewMode, setThickness, setBaseRotation, setPivotStart,
-    setColorStart, setColorEnd, setColorSides, setGradientCenter
+    setStartScale, setEndScale, setMinSize, setNestMode, setStartGap, setEndGap,
+    setViewMode, setThickness, setTwistStart, setTwistEnd, setTwistSchedule, setPivotStart,
+    setColorStart, setColorEnd, setColorSides, setGradientCenter,
+    setExportMode, setSheetSize, setPartGap, setDowelHoles, setDowelDiameter, setKerf,
+    setMinWall, loadDesign, undo, redo, endHistoryGroup, replaceShape,
+    setPointTension, setPointCorner, setSplineType, setEditMode, updateHandle, setHandleType,
+    selectShape, addShape, deleteShape,
+    setScaleSchedule, setScheduleCurveValue, setScheduleGap, setRingCount,
+    addConvergencePoint, updateConvergencePoint, deleteConvergencePoint, clearConvergencePath,
+    setCutSpeed, setDxfCurves, setModelFormat, setModelUnits,
+    setSvgUnits, setLaserColor, setLabelOperation, setPivotMarks,
+    setTabCount, setTabWidth, moveTab, promoteVariation
 } from './state.js';
-import { getCatmullRomBezierPath, generateNests, pathToSvgD, interpolateColor } from './math.js';
-import { generateExportString, downloadSvg } from './export.js';
-import { init3D, update3D, resize3D } from './view3d.js';
+import { getCatmullRomBezierPath, getHandleBezierPath, generateNests, solveRingCount, pathToSvgD, interpolateColor, getPathPropertiesAt, getPathBBox, SPLINE_ALPHA } from './math.js';
+import {
+    generateExportString, generateLayerExportString, generateSheetExportStrings, generateDxfString,
+    downloadSvg, downloadFile
+} from './export.js';
+import { serializeProject, parseProject } from './project.js';
+import { extractClosedShapes, prepareImportedShape } from './svgImport.js';
+import { init3D, update3D, resize3D, exportModel } from './view3d.js';
+import { analyzeRingWidths } from './analysis.js';
+import { measureNests } from './measure.js';
+import { GENERATORS, generateShape } from './generators.js';
+import { makeVariations } from './variations.js';
+import { tabsFit } from './tabs.js';
 
 // DOM Elements
 const svgEl = document.getElementById('main-svg');
@@ -21,10 +40,87 @@ const inputs = {
     endScale: document.getElementById('end-scale-slider'),
     endScaleVal: document.getElementById('end-scale-val'),
     minSize: document.getElementById('min-size-input'),
+    minWall: document.getElementById('min-wall-input'),
+    wallWarning: document.getElementById('wall-warning'),
+    measureSummary: document.getElementById('measure-summary'),
+    measureRings: document.getElementById('measure-rings'),
+    cutSpeed: document.getElementById('cut-speed-input'),
+    nestMode: document.getElementById('nest-mode-select'),
+    scaleSchedule: document.getElementById('scale-schedule-select'),
+    controlsScheduleGap: document.getElementById('controls-schedule-gap'),
+    scheduleGap: document.getElementById('schedule-gap-input'),
+    controlsScheduleCurve: document.getElementById('controls-schedule-curve'),
+    scheduleCurve: document.getElementById('schedule-curve-svg'),
+    ringCount: document.getElementById('ring-count-input'),
+    ringCountVal: document.getElementById('ring-count-val'),
+    controlsScaleMode: document.getElementById('controls-scale-mode'),
+    controlsOffsetMode: document.getElementById('controls-offset-mode'),
+    controlsDrift: document.getElementById('controls-drift'),
+    addDriftBtn: document.getElementById('add-drift-btn'),
+    clearDriftBtn: document.getElementById('clear-drift-btn'),
+    startGap: document.getElementById('start-gap-slider'),
+    startGapVal: document.getElementById('start-gap-val'),
+    endGap: document.getElementById('end-gap-slider'),
+    endGapVal: document.getElementById('end-gap-val'),
     ptX: document.getElementById('pt-x'),
     ptY: document.getElementById('pt-y'),
+    ptTension: document.getElementById('pt-tension-slider'),
+    ptTensionVal: document.getElementById('pt-tension-val'),
+    ptCorner: document.getElementById('pt-corner-toggle'),
+    ptHandleType: document.getElementById('pt-handle-type-select'),
+    controlsSplinePoint: document.getElementById('controls-spline-point'),
+    controlsBezierPoint: document.getElementById('controls-bezier-point'),
+    splineType: document.getElementById('spline-type-select'),
+    editMode: document.getElementById('edit-mode-select'),
+    shape: document.getElementById('shape-select'),
+    addShapeBtn: document.getElementById('add-shape-btn'),
+    deleteShapeBtn: document.getElementById('delete-shape-btn'),
+    generator: document.getElementById('generator-select'),
+    generatorParams: document.getElementById('generator-params'),
+    generatorSize: document.getElementById('generator-size-input'),
+    generatorSeed: document.getElementById('generator-seed-input'),
+    generatorSeedBtn: document.getElementById('generator-seed-btn'),
+    generateBtn: document.getElementById('generate-btn'),
+    variationCount: document.getElementById('variation-count-input'),
+    variationSeed: document.getElementById('variation-seed-input'),
+    variationPoints: document.getElementById('variation-points-input'),
+    variationConvergence: document.getElementById('variation-convergence-input'),
+    variationScale: document.getElementById('variation-scale-input'),
+    variationsBtn: document.getElementById('variations-btn'),
+    exportVariationsBtn: document.getElementById('export-variations-btn'),
+    variationGrid: document.getElementById('variation-grid'),
     deleteBtn: document.getElementById('delete-pt-btn'),
     downloadBtn: document.getElementById('export-btn'),
+    saveProjectBtn: document.getElementById('save-project-btn'),
+    openProjectBtn: document.getElementById('open-project-btn'),
+    projectFile: document.getElementById('project-file-input'),
+    importSvgBtn: document.getElementById('import-svg-btn'),
+    svgFile: document.getElementById('svg-file-input'),
+    importTolerance: document.getElementById('import-tolerance-input'),
+    controlsImport: document.getElementById('controls-import'),
+    importShape: document.getElementById('import-shape-select'),
+    importShapeBtn: document.getElementById('import-shape-btn'),
+    exportMode: document.getElementById('export-mode-select'),
+    controlsDxf: document.getElementById('controls-dxf'),
+    dxfCurves: document.getElementById('dxf-curves-select'),
+    controlsLaser: document.getElementById('controls-laser'),
+    cutColor: document.getElementById('cut-color-picker'),
+    scoreColor: document.getElementById('score-color-picker'),
+    engraveColor: document.getElementById('engrave-color-picker'),
+    labelOperation: document.getElementById('label-operation-select'),
+    pivotMarks: document.getElementById('pivot-marks-toggle'),
+    svgUnits: document.getElementById('svg-units-select'),
+    kerf: document.getElementById('kerf-input'),
+    kerfNote: document.getElementById('kerf-note'),
+    tabCount: document.getElementById('tab-count-input'),
+    tabWidth: document.getElementById('tab-width-input'),
+    controlsSheets: document.getElementById('controls-sheets'),
+    sheetPreset: document.getElementById('sheet-preset-select'),
+    sheetW: document.getElementById('sheet-w-input'),
+    sheetH: document.getElementById('sheet-h-input'),
+    partGap: document.getElementById('part-gap-input'),
+    exportSummary: document.getElementById('export-summary'),
+    importSummary: document.getElementById('import-summary'),
     coords: document.getElementById('coordinate-readout'),
     // 3D Controls
     view2d: document.getElementById('view-2d-btn'),
@@ -35,10 +131,18 @@ const inputs = {
     controlsScale2d: document.getElementById('controls-scale-2d'),
     thickness: document.getElementById('thickness-slider'),
     thicknessVal: document.getElementById('thickness-val'),
-    rotation: document.getElementById('rotation-slider'),
-    rotationVal: document.getElementById('rotation-val'),
+    twistStart: document.getElementById('twist-start-slider'),
+    twistStartVal: document.getElementById('twist-start-val'),
+    twistEnd: document.getElementById('twist-end-slider'),
+    twistEndVal: document.getElementById('twist-end-val'),
+    twistSchedule: document.getElementById('twist-schedule-select'),
     pivotStart: document.getElementById('pivot-start-slider'),
     pivotStartVal: document.getElementById('pivot-start-val'),
+    dowelHoles: document.getElementById('dowel-holes-toggle'),
+    dowelDiameter: document.getElementById('dowel-diameter-input'),
+    modelFormat: document.getElementById('model-format-select'),
+    modelUnits: document.getElementById('model-units-select'),
+    exportModelBtn: document.getElementById('export-model-btn'),
 
     gradientCenter: document.getElementById('gradient-center-slider'),
     gradientCenterVal: document.getElementById('gradient-center-val'),
@@ -59,11 +163,117 @@ function updateViewBox(s) {
 // Initial viewBox set via state defaults in render
 
 
+// --- Geometry ---
+function computeBaseCurve(s) {
+    const options = { alpha: SPLINE_ALPHA[s.splineType] };
+    return s.editMode === 'bezier' ? getHandleBezierPath(s.points, options) : getCatmullRomBezierPath(s.points, options);
+}
+
+// Scales and generateNests options for a shape, with the scales solved for
+// the ring count target when one is set (scale mode only)
+function nestParams(s, baseCurve) {
+    const options = {
+        mode: s.nestMode,
+        startGap: s.startGap,
+        endGap: s.endGap,
+        schedule: s.scaleSchedule,
+        curve: s.scheduleCurve,
+        gap: s.scheduleGap,
+        convergencePath: s.convergencePath,
+        twistStart: s.twistStart,
+        twistEnd: s.twistEnd,
+        twistSchedule: s.twistSchedule
+    };
+    let { startScale, endScale } = s;
+    if (s.ringCount > 0 && s.nestMode === 'scale') {
+        const solved = solveRingCount(baseCurve, s.convergence, startScale, endScale, s.minSize, s.ringCount, options);
+        startScale = solved.startScale;
+        endScale = solved.endScale;
+        options.gap = solved.gap;
+    }
+    return { startScale, endScale, options };
+}
+
+// Every key computeNests reads. Offsetting (and solving a ring count) is slow enough
+// to stutter drags, so nests are cached by these and only rebuilt when one changes:
+// other shapes, and every setting outside the nesting, then cost nothing per render.
+const NEST_KEYS = [
+    'points', 'splineType', 'editMode', 'convergence', 'convergencePath',
+    'startScale', 'endScale', 'minSize', 'nestMode', 'startGap', 'endGap',
+    'scaleSchedule', 'scheduleCurve', 'scheduleGap', 'ringCount',
+    'twistStart', 'twistEnd', 'twistSchedule'
+];
+const NEST_CACHE_SIZE = 32;
+const nestCache = new Map(); // JSON of the NEST_KEYS values -> computeNests result, oldest first
+
+// A shape's nests, with the scales and gap they were built with (solved for the
+// ring count target when one is set): { nests, startScale, endScale, gap }
+function computeNests(s) {
+    const key = JSON.stringify(NEST_KEYS.map(k => s[k]));
+    let result = nestCache.get(key);
+    if (result) {
+        // Move to the back so the entries in use are the last to go
+        nestCache.delete(key);
+    } else {
+        const baseCurve = computeBaseCurve(s);
+        const { startScale, endScale, options } = nestParams(s, baseCurve);
+        const nests = generateNests(baseCurve, s.convergence, startScale, endScale, s.minSize, options);
+        result = { nests, startScale, endScale, gap: options.gap };
+        if (nestCache.size >= NEST_CACHE_SIZE) nestCache.delete(nestCache.keys().next().value);
+    }
+    nestCache.set(key, result);
+    return result;
+}
+
+// Wall analysis of a nests array (see analyzeRingWidths), cached on the array itself:
+// computeNests hands back the same array until the nesting changes, so renders that
+// only pan, zoom or select reuse it. It is rebuilt when min wall or the dowel changes.
+const wallCache = new WeakMap(); // nests -> { key, walls }
+
+function computeWalls(s, nests) {
+    const dowel = dowelOption(s);
+    const key = JSON.stringify([s.minWall, dowel]);
+    const cached = wallCache.get(nests);
+    if (cached && cached.key === key) return cached.walls;
+    const walls = analyzeRingWidths(nests, s.minWall, dowel);
+    wallCache.set(nests, { key, walls });
+    return walls;
+}
+
+// Nests of every shape; the active shape is read from the top-level state
+function computeShapeNests(s) {
+    return s.shapes.map((shape, i) => computeNests(i === s.activeShape ? s : { ...s, ...shape }).nests);
+}
+
+// Dowel hole settings for analyzeRingWidths and the exporters, or null without holes
+function dowelOption(s) {
+    return s.dowelHoles ? { pivotStart: s.pivotStart, diameter: s.dowelDiameter, minWall: s.minWall } : null;
+}
+
+// Rings below min wall (or another test) across all shapes, named like the exported parts
+function thinRingNames(shapeWalls, test = ring => ring.thin) {
+    return shapeWalls.flatMap((walls, i) => walls
+        .filter(test)
+        .map(ring => shapeWalls.length > 1 ? `${i + 1}-${ring.layer}` : `${ring.layer}`));
+}
+
+// Contours too short for the tabs, which export as whole closed cuts. Named by nest
+// number like the DXF layers; nest k is also the outer contour of ring part k, and parts
+// only tab their outer contour, so the innermost nest only counts for nested exports.
+function untabbedNestNames(s, shapeNests) {
+    if (s.tabs.length === 0) return [];
+    const parts = s.exportMode === 'layers' || s.exportMode === 'sheets';
+    return shapeNests.flatMap((nests, i) => nests
+        .map((nest, k) => ({ nest, k }))
+        .filter(({ nest, k }) => !(parts && k === nests.length - 1) && !tabsFit(nest, s.tabs.length, s.tabWidth))
+        .map(({ k }) => shapeNests.length > 1 ? `${i + 1}-${k + 1}` : `${k + 1}`));
+}
+
 // --- Main Render Loop ---
 function render(state) {
     // 1. Calculate Geometry
-    const baseCurve = getCatmullRomBezierPath(state.points);
-    const nests = generateNests(baseCurve, state.convergence, state.startScale, state.endScale, state.minSize);
+    const shapeNests = computeShapeNests(state);
+    const shapeWalls = shapeNests.map(nests => computeWalls(state, nests));
 
     // 2. View Mode Toggle Logic
     if (state.viewMode === '3d') {
@@ -74,7 +284,7 @@ function render(state) {
         inputs.view3d.classList.add('active');
         inputs.view2d.classList.remove('active');
         requestAnimationFrame(() => resize3D());
-        update3D(nests, state);
+        update3D(shapeNests.map((nests, i) => ({ nests, walls: shapeWalls[i] })), state);
     } else {
         inputs.canvas2d.classList.remove('hidden');
         inputs.canvas3d.classList.add('hidden');
@@ -87,7 +297,7 @@ function render(state) {
     // 3. Render 2D Curves (SVG)
     curveGroup.innerHTML = ''; // Clear
 
-    nests.forEach((nest, index) => {
+    shapeNests.forEach((nests, shapeIndex) => nests.forEach((nest, index) => {
         const pathEl = document.createElementNS('http://www.w3.org/2000/svg', 'path');
         pathEl.setAttribute('d', pathToSvgD(nest));
         pathEl.setAttribute('fill', 'none');
@@ -96,8 +306,23 @@ function render(state) {
         pathEl.setAttribute('stroke', 'url(#gradient-fill)');
         pathEl.setAttribute('stroke-width', '1.5'); // 1.5px on screen
         pathEl.setAttribute('vector-effect', 'non-scaling-stroke'); // Keep crisp
+        if (shapeIndex !== state.activeShape) pathEl.setAttribute('stroke-opacity', '0.4');
 
         curveGroup.appendChild(pathEl);
+    }));
+
+    // Thin-wall highlights
+    shapeWalls.flat().forEach(ring => {
+        ring.thinRuns.forEach(run => {
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+            line.setAttribute('points', run.map(p => `${p.x},${p.y}`).join(' '));
+            line.setAttribute('fill', 'none');
+            line.setAttribute('stroke', '#ff3333');
+            line.setAttribute('stroke-width', '4');
+            line.setAttribute('stroke-linecap', 'round');
+            line.setAttribute('vector-effect', 'non-scaling-stroke');
+            curveGroup.appendChild(line);
+        });
     });
 
     // Update Gradient Stops
@@ -112,12 +337,46 @@ function render(state) {
     // 3. Render UI Handles (Points, Convergence)
     uiLayer.innerHTML = '';
 
+    // Bezier handles of the selected point and the segments either side of it
+    visibleHandles(state).forEach(({ index, which }) => {
+        const pt = state.points[index];
+        const h = { x: pt.x + pt[which].x, y: pt.y + pt[which].y };
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', pt.x);
+        line.setAttribute('y1', pt.y);
+        line.setAttribute('x2', h.x);
+        line.setAttribute('y2', h.y);
+        line.setAttribute('stroke', '#9cf');
+        line.setAttribute('stroke-width', '1');
+        line.setAttribute('vector-effect', 'non-scaling-stroke');
+        uiLayer.appendChild(line);
+
+        const knob = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        knob.setAttribute('cx', h.x);
+        knob.setAttribute('cy', h.y);
+        knob.setAttribute('r', 0.1);
+        knob.setAttribute('fill', '#9cf');
+        knob.setAttribute('stroke', 'rgba(0,0,0,0.5)');
+        knob.setAttribute('stroke-width', '0.02');
+        knob.classList.add('handle-bezier');
+        uiLayer.appendChild(knob);
+    });
+
     // Base Points
     state.points.forEach((pt, idx) => {
-        const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        circle.setAttribute('cx', pt.x);
-        circle.setAttribute('cy', pt.y);
-        circle.setAttribute('r', 0.15); // visual size in inches
+        // Corner points (cusps when editing handles) are drawn as squares
+        const square = state.editMode === 'bezier' ? pt.handleType === 'cusp' : pt.corner;
+        const circle = document.createElementNS('http://www.w3.org/2000/svg', square ? 'rect' : 'circle');
+        if (square) {
+            circle.setAttribute('x', pt.x - 0.13);
+            circle.setAttribute('y', pt.y - 0.13);
+            circle.setAttribute('width', 0.26);
+            circle.setAttribute('height', 0.26);
+        } else {
+            circle.setAttribute('cx', pt.x);
+            circle.setAttribute('cy', pt.y);
+            circle.setAttribute('r', 0.15); // visual size in inches
+        }
         circle.setAttribute('fill', idx === state.selectedPointIndex ? '#ff0' : '#fff');
         circle.setAttribute('stroke', 'rgba(0,0,0,0.5)');
         circle.setAttribute('stroke-width', '0.02');
@@ -126,56 +385,259 @@ function render(state) {
         uiLayer.appendChild(circle);
     });
 
-    // Convergence Point
+    // Convergence path the scaling target drifts along
     const cp = state.convergence;
-    const gC = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    gC.classList.add('handle-convergence');
-    gC.innerHTML = `
-        <line x1="${cp.x - 0.2}" y1="${cp.y}" x2="${cp.x + 0.2}" y2="${cp.y}" stroke="#f55" stroke-width="0.05" />
-        <line x1="${cp.x}" y1="${cp.y - 0.2}" x2="${cp.x}" y2="${cp.y + 0.2}" stroke="#f55" stroke-width="0.05" />
-        <circle cx="${cp.x}" cy="${cp.y}" r="0.3" fill="transparent" /> 
-    `;
-    uiLayer.appendChild(gC);
+    if (state.convergencePath.length > 0) {
+        const drift = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+        drift.setAttribute('points', [cp, ...state.convergencePath].map(p => `${p.x},${p.y}`).join(' '));
+        drift.setAttribute('fill', 'none');
+        drift.setAttribute('stroke', '#fa5');
+        drift.setAttribute('stroke-width', '1');
+        drift.setAttribute('stroke-dasharray', '4 3');
+        drift.setAttribute('vector-effect', 'non-scaling-stroke');
+        uiLayer.appendChild(drift);
+    }
+    state.convergencePath.forEach(p => uiLayer.appendChild(crosshair(p, '#fa5', 0.15)));
+
+    // Convergence Point
+    uiLayer.appendChild(crosshair(cp, '#f55', 0.2));
+
+    // Tabs: draggable markers on the base curve, dots where they fall on the inner nests
+    const activeNests = shapeNests[state.activeShape].filter(nest => nest.length > 0);
+    tabCurve = activeNests.length > 0 ? activeNests[0] : null;
+    activeNests.forEach((nest, k) => state.tabs.forEach(s => {
+        const { point } = getPathPropertiesAt(nest, s);
+        const marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        marker.setAttribute('cx', point.x);
+        marker.setAttribute('cy', point.y);
+        marker.setAttribute('r', k === 0 ? 0.1 : 0.04);
+        marker.setAttribute('fill', '#fc3');
+        if (k === 0) {
+            marker.setAttribute('stroke', 'rgba(0,0,0,0.5)');
+            marker.setAttribute('stroke-width', '0.02');
+            marker.classList.add('handle-tab');
+        }
+        uiLayer.appendChild(marker);
+    }));
 
 
     // 4. Update UI Panel Inputs
     updateUIControls(state);
+    updateRingCount(state, computeNests(state)); // Cached by computeShapeNests above
+    updateGeneratorPanel(state);
+    updateWallWarning(shapeWalls.flat());
+    updateMeasurements(state, shapeNests, shapeWalls);
 
     // 5. Update Viewport
     updateViewBox(state);
 }
 
+function crosshair(p, color, size) {
+    const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    g.classList.add('handle-convergence');
+    g.innerHTML = `
+        <line x1="${p.x - size}" y1="${p.y}" x2="${p.x + size}" y2="${p.y}" stroke="${color}" stroke-width="0.05" />
+        <line x1="${p.x}" y1="${p.y - size}" x2="${p.x}" y2="${p.y + size}" stroke="${color}" stroke-width="0.05" />
+        <circle cx="${p.x}" cy="${p.y}" r="0.3" fill="transparent" />
+    `;
+    return g;
+}
+
+// computed: the active shape's computeNests result
+function updateRingCount(s, computed) {
+    const { nests, startScale, endScale, gap } = computed;
+    const rings = nests.length - 1;
+    if (s.ringCount > 0 && s.nestMode !== 'scale') {
+        inputs.ringCountVal.innerText = 'Ring target needs Scale to Convergence nesting';
+    } else if (s.ringCount > 0) {
+        const solved = s.scaleSchedule === 'constantGap'
+            ? `gap ${gap.toFixed(3)}"`
+            : `scales ${startScale.toFixed(3)} → ${endScale.toFixed(3)}`;
+        const missed = rings !== s.ringCount ? ` (closest: ${rings} rings)` : '';
+        inputs.ringCountVal.innerText = `Solved ${solved}${missed}`;
+    } else {
+        inputs.ringCountVal.innerText = `${rings} ring${rings === 1 ? '' : 's'}`;
+    }
+}
+
+// Custom schedule curve: a polyline with a draggable knot per value, outer end on the left
+function renderScheduleCurve(s) {
+    const curve = s.scheduleCurve;
+    const xy = curve.map((v, i) => ({ x: i / (curve.length - 1), y: 1 - v }));
+    let svg = `<polyline points="${xy.map(p => `${p.x},${p.y}`).join(' ')}" fill="none" stroke="#9cf" stroke-width="2" vector-effect="non-scaling-stroke" />`;
+    xy.forEach((p, i) => {
+        svg += `<circle cx="${p.x}" cy="${p.y}" r="0.04" fill="#fff" data-index="${i}" />`;
+    });
+    inputs.scheduleCurve.innerHTML = svg;
+}
+
+// measureNests of a nests array, cached on the array like the wall analysis
+const measureCache = new WeakMap(); // nests -> { thickness, measures }
+
+function computeMeasures(s, nests) {
+    const cached = measureCache.get(nests);
+    if (cached && cached.thickness === s.thickness) return cached.measures;
+    const measures = measureNests(nests, s.thickness);
+    measureCache.set(nests, { thickness: s.thickness, measures });
+    return measures;
+}
+
+function updateMeasurements(s, shapeNests, shapeWalls) {
+    const measures = shapeNests.map(nests => computeMeasures(s, nests));
+    const m = measures[s.activeShape];
+
+    // Cut length follows the export mode: nested cuts each curve once, parts cut every ring
+    const dowelLength = s.dowelHoles ? Math.PI * s.dowelDiameter : 0;
+    const holes = shapeWalls.flat().filter(ring => ring.dowelFits !== false).length;
+    const cutLength = holes * dowelLength + measures.reduce((sum, shape) => sum +
+        (s.exportMode === 'layers' || s.exportMode === 'sheets' ? shape.ringCutLength : shape.nestedCutLength), 0);
+    // Whole seconds first, so 119.6s reads 2m 00s rather than 1m 60s
+    const seconds = s.cutSpeed > 0 ? Math.round(cutLength / s.cutSpeed) : 0;
+    const time = `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    const all = measures.length > 1 ? ' (all shapes)' : '';
+
+    inputs.measureSummary.innerHTML = [
+        `Base: ${m.width.toFixed(3)} x ${m.height.toFixed(3)} in`,
+        `Nests: ${m.nestCount} (${m.rings.length} rings)`,
+        `Stack height: ${m.stackHeight.toFixed(3)} in`,
+        `Cut length${all}: ${cutLength.toFixed(1)} in`,
+        `Laser time${all}: ${time}`
+    ].join('<br>');
+
+    inputs.measureRings.innerHTML = `<table>
+        <tr><th>Layer</th><th>Area (in²)</th><th>Perimeter (in)</th></tr>
+        ${m.rings.map(ring => `<tr><td>${ring.layer}</td><td>${ring.area.toFixed(3)}</td><td>${ring.perimeter.toFixed(2)}</td></tr>`).join('')}
+    </table>`;
+}
+
+function updateWallWarning(walls) {
+    const thin = walls.filter(ring => ring.thin);
+    if (thin.length === 0) {
+        inputs.wallWarning.innerText = '';
+        return;
+    }
+    const narrowest = Math.min(...thin.map(ring => ring.minWidth));
+    const noDowel = thin.filter(ring => ring.dowelFits === false).length;
+    inputs.wallWarning.innerText = `${thin.length} ring${thin.length === 1 ? '' : 's'} below min wall (narrowest ${narrowest.toFixed(3)}")` +
+        (noDowel > 0 ? `; ${noDowel} too narrow for the dowel hole` : '');
+}
+
 function updateUIControls(s) {
     if (document.activeElement !== inputs.startScale) inputs.startScale.value = s.startScale;
     inputs.startScaleVal.innerText = s.startScale.toFixed(2);
     if (document.activeElement !== inputs.endScale) inputs.endScale.value = s.endScale;
     inputs.endScaleVal.innerText = s.endScale.toFixed(2);
     inputs.minSize.value = s.minSize;
+    inputs.minWall.value = s.minWall;
+
+    inputs.nestMode.value = s.nestMode;
+    inputs.scaleSchedule.value = s.scaleSchedule;
+    const constantGap = s.scaleSchedule === 'constantGap';
+    inputs.controlsScaleMode.classList.toggle('hidden', s.nestMode !== 'scale' || constantGap);
+    inputs.controlsOffsetMode.classList.toggle('hidden', s.nestMode !== 'offset' || constantGap);
+    inputs.controlsDrift.classList.toggle('hidden', s.nestMode !== 'scale');
+    inputs.clearDriftBtn.disabled = s.convergencePath.length === 0;
+    inputs.controlsScheduleGap.classList.toggle('hidden', !constantGap);
+    inputs.controlsScheduleCurve.classList.toggle('hidden', s.scaleSchedule !== 'custom');
+    if (s.scaleSchedule === 'custom') renderScheduleCurve(s);
+    inputs.scheduleGap.value = s.scheduleGap;
+    inputs.ringCount.value = s.ringCount;
+    const solving = s.ringCount > 0 && s.nestMode === 'scale';
+    inputs.startScale.disabled = solving;
+    inputs.endScale.disabled = solving;
+    if (document.activeElement !== inputs.startGap) inputs.startGap.value = s.startGap;
+    inputs.startGapVal.innerText = s.startGap.toFixed(2);
+    if (document.activeElement !== inputs.endGap) inputs.endGap.value = s.endGap;
+    inputs.endGapVal.innerText = s.endGap.toFixed(2);
 
     // 3D Controls
     inputs.thickness.value = s.thickness;
     inputs.thicknessVal.innerText = s.thickness.toFixed(2);
 
-    inputs.rotation.value = s.baseRotation;
-    inputs.rotationVal.innerText = s.baseRotation + '°';
+    if (document.activeElement !== inputs.twistStart) inputs.twistStart.value = s.twistStart;
+    inputs.twistStartVal.innerText = s.twistStart + '°';
+    if (document.activeElement !== inputs.twistEnd) inputs.twistEnd.value = s.twistEnd;
+    inputs.twistEndVal.innerText = s.twistEnd + '°';
+    inputs.twistSchedule.value = s.twistSchedule;
     inputs.pivotStart.value = s.pivotStart;
     inputs.pivotStartVal.innerText = (s.pivotStart * 100).toFixed(0) + '%';
+    inputs.dowelHoles.checked = s.dowelHoles;
+    inputs.dowelDiameter.value = s.dowelDiameter;
+    inputs.dowelDiameter.disabled = !s.dowelHoles;
+    inputs.modelFormat.value = s.modelFormat;
+    inputs.modelUnits.value = s.modelUnits;
 
     inputs.gradientCenter.value = s.gradientCenter;
     inputs.gradientCenterVal.innerText = s.gradientCenter.toFixed(2);
 
+    inputs.exportMode.value = s.exportMode;
+    inputs.kerf.value = s.kerf;
+    // One cut serves two rings in the nested SVG and DXF, see generateExportString
+    inputs.kerfNote.innerText = s.kerf > 0 && (s.exportMode === 'nested' || s.exportMode === 'dxf')
+        ? 'Only the outermost and innermost curves are compensated here: each inner curve is one cut shared by two rings, which each lose half the kerf. Export Layers or Sheets for exact parts.'
+        : '';
+    inputs.tabCount.value = s.tabs.length;
+    inputs.tabWidth.value = s.tabWidth;
+    inputs.controlsSheets.classList.toggle('hidden', s.exportMode !== 'sheets');
+    inputs.controlsDxf.classList.toggle('hidden', s.exportMode !== 'dxf');
+    inputs.dxfCurves.value = s.dxfCurves;
+    inputs.controlsLaser.classList.toggle('hidden', s.exportMode === 'dxf');
+    inputs.cutColor.value = s.cutColor;
+    inputs.scoreColor.value = s.scoreColor;
+    inputs.engraveColor.value = s.engraveColor;
+    inputs.labelOperation.value = s.labelOperation;
+    inputs.pivotMarks.checked = s.pivotMarks;
+    inputs.svgUnits.value = s.svgUnits;
+    inputs.downloadBtn.innerText = s.exportMode === 'dxf' ? 'Download DXF' : 'Download SVG';
+    const preset = `${s.sheetWidth}x${s.sheetHeight}`;
+    inputs.sheetPreset.value = [...inputs.sheetPreset.options].some(o => o.value === preset) ? preset : 'custom';
+    inputs.sheetW.value = s.sheetWidth;
+    inputs.sheetH.value = s.sheetHeight;
+    inputs.partGap.value = s.partGap;
+    inputs.cutSpeed.value = s.cutSpeed;
+
+    if (inputs.shape.options.length !== s.shapes.length) {
+        inputs.shape.innerHTML = '';
+        s.shapes.forEach((shape, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `Shape ${i + 1}`;
+            inputs.shape.appendChild(option);
+        });
+    }
+    inputs.shape.value = s.activeShape;
+    inputs.deleteShapeBtn.disabled = s.shapes.length < 2;
+
+    inputs.splineType.value = s.splineType;
+    inputs.editMode.value = s.editMode;
+    inputs.controlsSplinePoint.classList.toggle('hidden', s.editMode !== 'spline');
+    inputs.controlsBezierPoint.classList.toggle('hidden', s.editMode !== 'bezier');
+
     if (s.selectedPointIndex !== -1) {
         const pt = s.points[s.selectedPointIndex];
+        const tension = pt.tension ?? 0.5;
         inputs.ptX.value = pt.x.toFixed(2);
         inputs.ptY.value = pt.y.toFixed(2);
+        if (document.activeElement !== inputs.ptTension) inputs.ptTension.value = tension;
+        inputs.ptTensionVal.innerText = tension.toFixed(2);
+        inputs.ptCorner.checked = !!pt.corner;
+        inputs.ptHandleType.value = pt.handleType || 'smooth';
+        inputs.ptHandleType.disabled = false;
         inputs.ptX.disabled = false;
         inputs.ptY.disabled = false;
+        inputs.ptTension.disabled = false;
+        inputs.ptCorner.disabled = false;
         inputs.deleteBtn.disabled = false;
     } else {
         inputs.ptX.value = '';
         inputs.ptY.value = '';
+        inputs.ptTensionVal.innerText = '';
+        inputs.ptCorner.checked = false;
+        inputs.ptHandleType.disabled = true;
         inputs.ptX.disabled = true;
         inputs.ptY.disabled = true;
+        inputs.ptTension.disabled = true;
+        inputs.ptCorner.disabled = true;
         inputs.deleteBtn.disabled = true;
     }
 }
@@ -183,6 +645,84 @@ function updateUIControls(s) {
 
 // --- Interaction Logic ---
 
+// Handles shown (and draggable) in bezier mode: both of the selected point's,
+// plus the neighbours' handles on the two segments that meet it
+function visibleHandles(s) {
+    const i = s.selectedPointIndex;
+    if (s.editMode !== 'bezier' || i === -1) return [];
+    const n = s.points.length;
+    return [
+        { index: (i - 1 + n) % n, which: 'handleOut' },
+        { index: i, which: 'handleIn' },
+        { index: i, which: 'handleOut' },
+        { index: (i + 1) % n, which: 'handleIn' }
+    ].filter(h => s.points[h.index][h.which]);
+}
+
+// Base curve of the active shape as last rendered, which the tab markers sit on
+let tabCurve = null;
+const TAB_DRAG_SAMPLES = 400;
+
+// Index of the tab marker under pt, or -1
+function hitTab(pt) {
+    if (!tabCurve) return -1;
+    let hitIndex = -1;
+    let minDist = 0.2;
+    state.tabs.forEach((s, i) => {
+        const { point } = getPathPropertiesAt(tabCurve, s);
+        const d = Math.hypot(pt.x - point.x, pt.y - point.y);
+        if (d < minDist) {
+            minDist = d;
+            hitIndex = i;
+        }
+    });
+    return hitIndex;
+}
+
+// Normalized position on the path closest to pt
+function nearestPathPosition(path, pt) {
+    let best = 0;
+    let minDist = Infinity;
+    for (let i = 0; i < TAB_DRAG_SAMPLES; i++) {
+        const { point } = getPathPropertiesAt(path, i / TAB_DRAG_SAMPLES);
+        const d = Math.hypot(pt.x - point.x, pt.y - point.y);
+        if (d < minDist) {
+            minDist = d;
+            best = i / TAB_DRAG_SAMPLES;
+        }
+    }
+    return best;
+}
+
+// Index of the convergence path point under pt, or -1
+function hitConvergencePath(pt) {
+    let hitIndex = -1;
+    let minDist = 0.4;
+    state.convergencePath.forEach((p, i) => {
+        const d = Math.hypot(pt.x - p.x, pt.y - p.y);
+        if (d < minDist) {
+            minDist = d;
+            hitIndex = i;
+        }
+    });
+    return hitIndex;
+}
+
+// Nearest visible handle within the hit radius, or null
+function hitHandle(pt) {
+    let hit = null;
+    let minDist = 0.25;
+    visibleHandles(state).forEach(h => {
+        const p = state.points[h.index];
+        const d = Math.hypot(pt.x - (p.x + p[h.which].x), pt.y - (p.y + p[h.which].y));
+        if (d < minDist) {
+            minDist = d;
+            hit = h;
+        }
+    });
+    return hit;
+}
+
 // Coordinate Helper: MouseEvent -> SVG Coordinates (Inches)
 // Coordinate Helper: MouseEvent -> SVG Coordinates (Inches)
 function getMousePt(evt) {
@@ -232,6 +772,10 @@ svgEl.addEventListener('mousedown', e => {
     }
     // ... existing mousedown logic ...
 
+    // A drag starts its own undo step, even right after a field edit of the same
+    // point or value (which leaves its history key open)
+    endHistoryGroup();
+
     const pt = getMousePt(e);
 
     // Check hit test
@@ -244,7 +788,33 @@ svgEl.addEventListener('mousedown', e => {
         return;
     }
 
-    // 2. Points
+    const driftIndex = hitConvergencePath(pt);
+    if (driftIndex !== -1) {
+        state.isDragging = true;
+        state.dragTarget = 'convergencePath';
+        state.dragIndex = driftIndex;
+        return;
+    }
+
+    // Tab markers (small, and checked before points, which can sit on the curve right next to them)
+    const tabIndex = hitTab(pt);
+    if (tabIndex !== -1) {
+        state.isDragging = true;
+        state.dragTarget = 'tab';
+        state.dragIndex = tabIndex;
+        return;
+    }
+
+    // 2. Bezier handles (checked before points: a short handle sits right next to its point)
+    const handle = hitHandle(pt);
+    if (handle) {
+        state.isDragging = true;
+        state.dragTarget = handle.which;
+        state.dragIndex = handle.index;
+        return;
+    }
+
+    // 3. Points
     let hitIndex = -1;
     let minDist = 0.4; // Hit radius
     state.points.forEach((p, i) => {
@@ -264,7 +834,7 @@ svgEl.addEventListener('mousedown', e => {
         return;
     }
 
-    // 3. Background Click -> Add Point? 
+    // 4. Background Click -> Add Point? 
     // Usually logic implies if we didn't hit anything, we might be adding a point.
     // Or deselection.
     // Let's implement click-to-add in 'click' event to separate drag from click.
@@ -302,12 +872,19 @@ svgEl.addEventListener('mousemove', e => {
 
     if (state.dragTarget === 'convergence') {
         setConvergence(coords.x, coords.y);
+    } else if (state.dragTarget === 'convergencePath') {
+        updateConvergencePoint(state.dragIndex, coords.x, coords.y);
     } else if (state.dragTarget === 'point') {
         updatePoint(state.dragIndex, coords.x, coords.y);
+    } else if (state.dragTarget === 'handleIn' || state.dragTarget === 'handleOut') {
+        updateHandle(state.dragIndex, state.dragTarget, coords.x, coords.y);
+    } else if (state.dragTarget === 'tab') {
+        moveTab(state.dragIndex, nearestPathPosition(tabCurve, coords));
     }
 });
 
 window.addEventListener('mouseup', () => {
+    endHistoryGroup(); // A drag is one undo step
     state.isDragging = false;
     state.dragTarget = null;
     state.dragIndex = -1;
@@ -317,6 +894,13 @@ window.addEventListener('mouseup', () => {
 svgEl.addEventListener('dblclick', e => {
     // Delete point if hit
     const pt = getMousePt(e);
+
+    const driftIndex = hitConvergencePath(pt);
+    if (driftIndex !== -1) {
+        deleteConvergencePoint(driftIndex);
+        return;
+    }
+
     let hitIndex = -1;
     let minDist = 0.4;
     state.points.forEach((p, i) => {
@@ -351,6 +935,9 @@ svgEl.addEventListener('click', e => {
     // Check if we hit anything (don't add point on top of existing)
     const distC = Math.hypot(pt.x - state.convergence.x, pt.y - state.convergence.y);
     if (distC < 0.4) return;
+    if (hitConvergencePath(pt) !== -1) return;
+    if (hitHandle(pt)) return;
+    if (hitTab(pt) !== -1) return;
 
     for (let p of state.points) {
         if (Math.hypot(pt.x - p.x, pt.y - p.y) < 0.4) return;
@@ -361,20 +948,198 @@ svgEl.addEventListener('click', e => {
 
 
 // --- UI Inputs Wiring ---
-inputs.startScale.addEventListener('input', e => setStartScale(parseFloat(e.target.value)));
-inputs.endScale.addEventListener('input', e => setEndScale(parseFloat(e.target.value)));
-inputs.minSize.addEventListener('change', e => setMinSize(parseFloat(e.target.value)));
+// Field handler passing the field's number to apply; a cleared or invalid entry
+// puts the field back to the design's current value, so NaN never reaches state
+function onNumber(apply) {
+    return e => {
+        const value = parseFloat(e.target.value);
+        if (Number.isFinite(value)) apply(value);
+        else updateUIControls(state);
+    };
+}
 
-inputs.ptX.addEventListener('change', e => {
+inputs.startScale.addEventListener('input', onNumber(setStartScale));
+inputs.endScale.addEventListener('input', onNumber(setEndScale));
+inputs.minSize.addEventListener('change', onNumber(setMinSize));
+inputs.minWall.addEventListener('change', onNumber(setMinWall));
+inputs.nestMode.addEventListener('change', e => setNestMode(e.target.value));
+inputs.addDriftBtn.addEventListener('click', () => {
+    // New point starts a little past the current end of the path
+    const path = [state.convergence, ...state.convergencePath];
+    const end = path[path.length - 1];
+    addConvergencePoint(end.x + 1, end.y);
+});
+inputs.clearDriftBtn.addEventListener('click', () => clearConvergencePath());
+inputs.scaleSchedule.addEventListener('change', e => setScaleSchedule(e.target.value));
+inputs.scheduleGap.addEventListener('change', onNumber(setScheduleGap));
+inputs.ringCount.addEventListener('change', e => setRingCount(Math.max(0, parseInt(e.target.value, 10) || 0)));
+
+// Dragging a schedule curve knot sets its value from the pointer height
+let curveDragIndex = -1;
+inputs.scheduleCurve.addEventListener('mousedown', e => {
+    if (e.target.dataset.index === undefined) return;
+    curveDragIndex = parseInt(e.target.dataset.index, 10);
+    endHistoryGroup(); // A knot drag is its own undo step
+    e.preventDefault();
+});
+window.addEventListener('mousemove', e => {
+    if (curveDragIndex === -1) return;
+    const rect = inputs.scheduleCurve.getBoundingClientRect();
+    // viewBox spans -0.05 to 1.05 vertically
+    const y = (e.clientY - rect.top) / rect.height * 1.1 - 0.05;
+    setScheduleCurveValue(curveDragIndex, Math.max(0, Math.min(1, 1 - y)));
+});
+window.addEventListener('mouseup', () => { curveDragIndex = -1; });
+inputs.startGap.addEventListener('input', onNumber(setStartGap));
+inputs.endGap.addEventListener('input', onNumber(setEndGap));
+
+inputs.ptX.addEventListener('change', onNumber(x => {
     if (state.selectedPointIndex !== -1) {
-        updatePoint(state.selectedPointIndex, parseFloat(e.target.value), state.points[state.selectedPointIndex].y);
+        updatePoint(state.selectedPointIndex, x, state.points[state.selectedPointIndex].y);
     }
-});
-inputs.ptY.addEventListener('change', e => {
+}));
+inputs.ptY.addEventListener('change', onNumber(y => {
     if (state.selectedPointIndex !== -1) {
-        updatePoint(state.selectedPointIndex, state.points[state.selectedPointIndex].x, parseFloat(e.target.value));
+        updatePoint(state.selectedPointIndex, state.points[state.selectedPointIndex].x, y);
     }
+}));
+inputs.ptTension.addEventListener('input', onNumber(tension => {
+    if (state.selectedPointIndex !== -1) setPointTension(state.selectedPointIndex, tension);
+}));
+inputs.ptCorner.addEventListener('change', e => {
+    if (state.selectedPointIndex !== -1) setPointCorner(state.selectedPointIndex, e.target.checked);
 });
+inputs.ptHandleType.addEventListener('change', e => {
+    if (state.selectedPointIndex !== -1) setHandleType(state.selectedPointIndex, e.target.value);
+});
+inputs.shape.addEventListener('change', e => selectShape(parseInt(e.target.value, 10)));
+inputs.addShapeBtn.addEventListener('click', () => {
+    const { x, y, w, h } = state.viewport;
+    addShape({ x: x + w / 2, y: y + h / 2 }, Math.min(w, h) / 8);
+});
+inputs.deleteShapeBtn.addEventListener('click', () => deleteShape(state.activeShape));
+
+// --- Shape Generators ---
+// The panel is built from GENERATORS; its values only matter when a shape is generated
+Object.entries(GENERATORS).forEach(([type, generator]) => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = generator.name;
+    inputs.generator.appendChild(option);
+});
+
+function renderGeneratorParams() {
+    inputs.generatorParams.innerHTML = '';
+    GENERATORS[inputs.generator.value].params.forEach(p => {
+        const wrap = document.createElement('div');
+        wrap.className = 'input-wrap';
+        wrap.innerHTML = `<span>${p.label}</span><input type="number" min="${p.min}" max="${p.max}" step="${p.step}" value="${p.value}">`;
+        wrap.querySelector('input').dataset.key = p.key;
+        inputs.generatorParams.appendChild(wrap);
+    });
+}
+
+// Replaces the active shape's points with the generated ones, centred where the
+// shape's box is. The centre is snapped to 0.01" so that generating again with the
+// same settings lands on the same centre (the fitted box is only rounded to 0.0001")
+// and gives exactly the same points.
+function generateFromPanel() {
+    const params = {};
+    inputs.generatorParams.querySelectorAll('input').forEach(input => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) params[input.dataset.key] = value;
+    });
+    const generator = {
+        type: inputs.generator.value,
+        params,
+        seed: parseInt(inputs.generatorSeed.value, 10) || 0,
+        size: parseFloat(inputs.generatorSize.value) || 6
+    };
+    const bbox = getPathBBox(computeBaseCurve(state));
+    const snap = v => Math.round(v * 100) / 100;
+    const center = { x: snap(bbox.minX + bbox.width / 2), y: snap(bbox.minY + bbox.height / 2) };
+    const { points, convergence } = generateShape(generator.type, generator.params, generator.seed, center, generator.size);
+    replaceShape(points, convergence, generator);
+}
+
+// Fills the panel with the settings the active shape was generated from, whenever
+// they change (generating, switching shapes, undo, opening a project)
+let shownGenerator = null;
+function updateGeneratorPanel(s) {
+    if (!s.generator || s.generator === shownGenerator) return;
+    shownGenerator = s.generator;
+    inputs.generator.value = s.generator.type;
+    renderGeneratorParams();
+    inputs.generatorParams.querySelectorAll('input').forEach(input => {
+        const value = s.generator.params[input.dataset.key];
+        if (value !== undefined) input.value = value;
+    });
+    inputs.generatorSeed.value = s.generator.seed;
+    inputs.generatorSize.value = s.generator.size;
+}
+
+renderGeneratorParams();
+inputs.generator.addEventListener('change', renderGeneratorParams);
+inputs.generateBtn.addEventListener('click', generateFromPanel);
+inputs.generatorSeedBtn.addEventListener('click', () => {
+    inputs.generatorSeed.value = Math.floor(Math.random() * 1000000);
+    generateFromPanel();
+});
+
+// --- Variations ---
+let variations = []; // Last batch, each a set of shape keys to merge over the active shape
+
+// Thumbnail of every variation's nests, outlined red when a ring is below min wall
+function renderVariationGrid() {
+    inputs.variationGrid.innerHTML = '';
+    variations.forEach(variation => {
+        const { nests } = computeNests({ ...state, ...variation });
+        const thin = computeWalls(state, nests).some(ring => ring.thin);
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        nests.forEach(nest => {
+            const bbox = getPathBBox(nest);
+            minX = Math.min(minX, bbox.minX);
+            minY = Math.min(minY, bbox.minY);
+            maxX = Math.max(maxX, bbox.maxX);
+            maxY = Math.max(maxY, bbox.maxY);
+        });
+        const pad = Math.max(maxX - minX, maxY - minY) * 0.05;
+
+        const thumb = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        thumb.setAttribute('viewBox', `${minX - pad} ${minY - pad} ${maxX - minX + pad * 2} ${maxY - minY + pad * 2}`);
+        thumb.classList.add('variation-thumb');
+        thumb.classList.toggle('thin', thin);
+        thumb.innerHTML = `<title>Seed ${variation.seed}${thin ? ' (thin walls)' : ''}</title>` +
+            nests.map(nest => `<path d="${pathToSvgD(nest)}" fill="none" stroke="#ccc" stroke-width="1" vector-effect="non-scaling-stroke" />`).join('');
+        thumb.addEventListener('click', () => promoteVariation(variation));
+        inputs.variationGrid.appendChild(thumb);
+    });
+    inputs.exportVariationsBtn.disabled = variations.length === 0;
+}
+
+inputs.variationsBtn.addEventListener('click', () => {
+    const ranges = {
+        points: parseFloat(inputs.variationPoints.value) || 0,
+        convergence: parseFloat(inputs.variationConvergence.value) || 0,
+        scale: (parseFloat(inputs.variationScale.value) || 0) / 100
+    };
+    const seed = parseInt(inputs.variationSeed.value, 10) || 0;
+    const count = Math.max(1, parseInt(inputs.variationCount.value, 10) || 1);
+    variations = makeVariations(state, ranges, seed, count);
+    renderVariationGrid();
+});
+
+// One nested-curve SVG per variation of the active shape, named by its seed
+inputs.exportVariationsBtn.addEventListener('click', () => {
+    const { svgOptions } = exportOptions(state);
+    variations.forEach((variation, i) => {
+        const { nests } = computeNests({ ...state, ...variation });
+        downloadSvg(generateExportString([nests], svgOptions).svg, `organic-curve-variation-${i + 1}-seed-${variation.seed}.svg`);
+    });
+});
+inputs.splineType.addEventListener('change', e => setSplineType(e.target.value));
+inputs.editMode.addEventListener('change', e => setEditMode(e.target.value));
 inputs.deleteBtn.addEventListener('click', () => {
     if (state.selectedPointIndex !== -1) deletePoint(state.selectedPointIndex);
 });
@@ -382,23 +1147,242 @@ inputs.deleteBtn.addEventListener('click', () => {
 // 3D UI Wiring
 inputs.view2d.addEventListener('click', () => setViewMode('2d'));
 inputs.view3d.addEventListener('click', () => setViewMode('3d'));
-inputs.thickness.addEventListener('input', e => setThickness(parseFloat(e.target.value)));
-inputs.rotation.addEventListener('input', e => setBaseRotation(parseFloat(e.target.value)));
-inputs.pivotStart.addEventListener('input', e => setPivotStart(parseFloat(e.target.value)));
+inputs.thickness.addEventListener('input', onNumber(setThickness));
+inputs.twistStart.addEventListener('input', onNumber(setTwistStart));
+inputs.twistEnd.addEventListener('input', onNumber(setTwistEnd));
+inputs.twistSchedule.addEventListener('change', e => setTwistSchedule(e.target.value));
+inputs.pivotStart.addEventListener('input', onNumber(setPivotStart));
+inputs.dowelHoles.addEventListener('change', e => setDowelHoles(e.target.checked));
+inputs.dowelDiameter.addEventListener('change', onNumber(setDowelDiameter));
+inputs.modelFormat.addEventListener('change', e => setModelFormat(e.target.value));
+inputs.modelUnits.addEventListener('change', e => setModelUnits(e.target.value));
+inputs.exportModelBtn.addEventListener('click', () => {
+    // The model is exported from the 3D view as last rendered
+    exportModel(state.modelFormat, state.modelUnits)
+        .then(({ data, filename, type }) => downloadFile(data, filename, type))
+        .catch(err => alert(`Could not export the model: ${err.message}`));
+});
 
-inputs.gradientCenter.addEventListener('input', e => setGradientCenter(parseFloat(e.target.value)));
+inputs.gradientCenter.addEventListener('input', onNumber(setGradientCenter));
 
 inputs.colorStart.addEventListener('input', e => setColorStart(e.target.value));
 inputs.colorEnd.addEventListener('input', e => setColorEnd(e.target.value));
 inputs.colorSides.addEventListener('input', e => setColorSides(e.target.value));
 
+inputs.exportMode.addEventListener('change', e => setExportMode(e.target.value));
+inputs.dxfCurves.addEventListener('change', e => setDxfCurves(e.target.value));
+inputs.cutColor.addEventListener('input', e => setLaserColor('cut', e.target.value));
+inputs.scoreColor.addEventListener('input', e => setLaserColor('score', e.target.value));
+inputs.engraveColor.addEventListener('input', e => setLaserColor('engrave', e.target.value));
+inputs.labelOperation.addEventListener('change', e => setLabelOperation(e.target.value));
+inputs.pivotMarks.addEventListener('change', e => setPivotMarks(e.target.checked));
+inputs.svgUnits.addEventListener('change', e => setSvgUnits(e.target.value));
+inputs.kerf.addEventListener('change', onNumber(setKerf));
+inputs.tabCount.addEventListener('change', e => setTabCount(Math.max(0, parseInt(e.target.value, 10) || 0)));
+inputs.tabWidth.addEventListener('change', onNumber(setTabWidth));
+inputs.sheetPreset.addEventListener('change', e => {
+    if (e.target.value === 'custom') return;
+    const [w, h] = e.target.value.split('x').map(parseFloat);
+    setSheetSize(w, h);
+});
+inputs.sheetW.addEventListener('change', onNumber(w => setSheetSize(w, state.sheetHeight)));
+inputs.sheetH.addEventListener('change', onNumber(h => setSheetSize(state.sheetWidth, h)));
+inputs.partGap.addEventListener('change', onNumber(setPartGap));
+inputs.cutSpeed.addEventListener('change', onNumber(setCutSpeed));
+
+// Exporter options from the export panel: shared ones, and those with the SVG settings added
+function exportOptions(s) {
+    const options = {
+        dowel: dowelOption(s),
+        mark: s.pivotMarks ? { pivotStart: s.pivotStart } : null,
+        tabs: s.tabs.length > 0 ? { positions: s.tabs, width: s.tabWidth } : null,
+        kerf: s.kerf
+    };
+    const svgOptions = {
+        ...options,
+        units: s.svgUnits,
+        colors: { cut: s.cutColor, score: s.scoreColor, engrave: s.engraveColor },
+        labels: s.labelOperation
+    };
+    return { options, svgOptions };
+}
+
 inputs.downloadBtn.addEventListener('click', () => {
-    const baseCurve = getCatmullRomBezierPath(state.points);
-    const nests = generateNests(baseCurve, state.convergence, state.startScale, state.endScale, state.minSize);
-    const svgs = generateExportString(nests);
-    downloadSvg(svgs);
+    const shapeNests = computeShapeNests(state);
+
+    const shapeWalls = shapeNests.map(nests => computeWalls(state, nests));
+    const thin = thinRingNames(shapeWalls);
+    if (thin.length > 0) {
+        const layers = thin.join(', ');
+        const noDowel = thinRingNames(shapeWalls, ring => ring.dowelFits === false);
+        const dowelNote = noDowel.length > 0
+            ? ` Layer ${noDowel.join(', ')} ${noDowel.length === 1 ? 'is' : 'are'} too narrow at the pivot for the ${state.dowelDiameter}" dowel and will have no hole.`
+            : '';
+        const ok = confirm(`Layer ${layers} ${thin.length === 1 ? 'is' : 'are'} thinner than the ${state.minWall}" minimum wall and may break or burn through.${dowelNote} Export anyway?`);
+        if (!ok) return;
+    }
+    const untabbed = untabbedNestNames(state, shapeNests);
+
+    const { options, svgOptions } = exportOptions(state);
+    let result;
+    let summary = '';
+    if (state.exportMode === 'dxf') {
+        downloadFile(generateDxfString(shapeNests, { ...options, dxfCurves: state.dxfCurves }), 'organic-curve.dxf', 'application/dxf');
+    } else if (state.exportMode === 'layers') {
+        result = generateLayerExportString(shapeNests, svgOptions);
+        downloadSvg(result.svg, "organic-curve-layers.svg");
+    } else if (state.exportMode === 'sheets') {
+        result = generateSheetExportStrings(shapeNests, state.sheetWidth, state.sheetHeight, state.partGap, svgOptions);
+        result.files.forEach((svg, i) => downloadSvg(svg, `organic-curve-sheet-${i + 1}.svg`));
+
+        summary = `${result.sheetCount} sheet${result.sheetCount === 1 ? '' : 's'}, ${(result.utilisation * 100).toFixed(1)}% material used`;
+        if (result.oversize.length > 0) {
+            summary += `. Too large for sheet: layer ${result.oversize.join(', ')}`;
+        }
+        summary += '. ';
+    } else {
+        result = generateExportString(shapeNests, svgOptions);
+        downloadSvg(result.svg);
+    }
+
+    if (untabbed.length > 0) {
+        summary += `No room for ${state.tabs.length} tab${state.tabs.length === 1 ? '' : 's'} on layer ${untabbed.join(', ')}: cut without tabs. `;
+    }
+    if (result) {
+        // Nearest-next is a heuristic and can lose to the plain order; only a gain is "saved"
+        const saved = result.unorderedTravel - result.travel;
+        summary += saved >= 0.05
+            ? `Cut order: ${result.travel.toFixed(1)}" of travel between cuts (${saved.toFixed(1)}" saved).`
+            : `Cut order: ${result.travel.toFixed(1)}" of travel between cuts (${result.unorderedTravel.toFixed(1)}" in drawing order).`;
+    }
+    inputs.exportSummary.innerText = summary;
+});
+
+
+// --- Undo / Redo ---
+// 'change' marks the end of a slider scrub or a committed field edit; listening in the
+// capture phase closes the group before the field's own handler records a new one
+document.addEventListener('change', () => endHistoryGroup(), true);
+
+window.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const tag = document.activeElement && document.activeElement.tagName;
+    if (tag === 'INPUT' && document.activeElement.type !== 'range') return; // Let fields keep their own undo
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+    }
 });
 
+// --- Project Save / Load ---
+inputs.saveProjectBtn.addEventListener('click', () => {
+    let text;
+    try {
+        text = serializeProject(state);
+    } catch (err) {
+        alert(`Could not save the project: ${err.message}`);
+        return;
+    }
+    downloadFile(text, 'organic-curve.json', 'application/json');
+});
+
+inputs.openProjectBtn.addEventListener('click', () => inputs.projectFile.click());
+inputs.projectFile.addEventListener('change', e => {
+    const file = e.target.files[0];
+    if (file) openProjectFile(file);
+    e.target.value = ''; // Allow re-opening the same file
+});
+
+inputs.canvas2d.addEventListener('dragover', e => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+});
+inputs.canvas2d.addEventListener('drop', e => {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    if (file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg')) {
+        openSvgFile(file);
+    } else {
+        openProjectFile(file);
+    }
+});
+
+function openProjectFile(file) {
+    file.text().then(text => {
+        loadDesign(parseProject(text));
+    }).catch(err => {
+        alert(`Could not open "${file.name}": ${err.message}`);
+    });
+}
+
+
+// --- SVG Import ---
+let importedShapes = []; // Closed shapes of the last SVG, waiting for a pick
+
+inputs.importSvgBtn.addEventListener('click', () => inputs.svgFile.click());
+inputs.svgFile.addEventListener('change', e => {
+    const file = e.target.files[0];
+    if (file) openSvgFile(file);
+    e.target.value = '';
+});
+
+inputs.importShapeBtn.addEventListener('click', () => {
+    const shape = importedShapes[parseInt(inputs.importShape.value, 10)];
+    if (shape) useImportedShape(shape);
+});
+
+function openSvgFile(file) {
+    file.text().then(text => {
+        const shapes = extractClosedShapes(text);
+        if (shapes.length === 0) throw new Error('No closed paths found.');
+
+        if (shapes.length === 1) {
+            useImportedShape(shapes[0]);
+            return;
+        }
+
+        // Several candidates: let the user pick one
+        importedShapes = shapes;
+        inputs.importShape.innerHTML = '';
+        shapes.forEach((shape, i) => {
+            const w = Math.max(...shape.points.map(p => p.x)) - Math.min(...shape.points.map(p => p.x));
+            const h = Math.max(...shape.points.map(p => p.y)) - Math.min(...shape.points.map(p => p.y));
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `${shape.label} (${w.toFixed(2)} x ${h.toFixed(2)} in)`;
+            inputs.importShape.appendChild(option);
+        });
+        inputs.controlsImport.classList.remove('hidden');
+    }).catch(err => {
+        alert(`Could not import "${file.name}": ${err.message}`);
+    });
+}
+
+function useImportedShape(shape) {
+    const tolerance = parseFloat(inputs.importTolerance.value) || 0.01;
+    const result = prepareImportedShape(shape.points, tolerance, SPLINE_ALPHA[state.splineType]);
+
+    importedShapes = [];
+    inputs.controlsImport.classList.add('hidden');
+    inputs.importSummary.innerText = result.error > tolerance
+        ? `Point limit reached: the fit strays up to ${result.error.toFixed(3)}" from the outline (tolerance ${tolerance}").`
+        : '';
+
+    // Frame the new shape before it renders
+    const margin = 1;
+    const w = result.width + margin * 2;
+    const h = result.height + margin * 2;
+    state.viewport = { x: 0, y: 0, w: Math.max(w, h * 4 / 3), h: Math.max(h, w * 3 / 4) };
+
+    replaceShape(result.points, result.convergence);
+}
+
 
 // Init
 // Helper functions moved to math.js
@@ -1,4 +1,6 @@
 
+import { offsetPath, removeSelfIntersections } from './offset.js';
+
 // Math & Geometry Utils
 
 /**
@@ -11,35 +13,70 @@
  * So Bezier CP1 = P1 + Tangent1 / 3.
  * Bezier CP2 = P2 - Tangent2 / 3.
  * Tangent2 at P2 is (P3 - P1) / 2.
+ *
+ * Per-point options (on the point objects):
+ *   tension (default 0.5) scales the tangent; 0 pinches the curve, 1 bulges it.
+ *   corner: true breaks the tangent at that point, aiming each side at its neighbour.
+ *
+ * options.alpha sets the knot spacing |Pi+1 - Pi|^alpha:
+ *   0 = uniform (default), 0.5 = centripetal, 1 = chordal.
+ * Centripetal and chordal avoid the loops and cusps uniform spacing makes
+ * when points are unevenly spaced. With alpha 0 and tension 0.5 this reduces
+ * to the standard formulas above.
  */
-export function getCatmullRomBezierPath(points) {
+export function getCatmullRomBezierPath(points, options = {}) {
     if (points.length < 3) return [];
 
+    const { alpha = 0 } = options;
     const pathCmds = [];
     const n = points.length;
 
-    for (let i = 0; i < n; i++) {
+    // Knot interval between point i and i + 1
+    const knots = points.map((p, i) => {
+        const q = points[(i + 1) % n];
+        return Math.max(Math.hypot(q.x - p.x, q.y - p.y) ** alpha, 1e-6);
+    });
+
+    // Tangent (derivative w.r.t. the knot parameter) leaving and entering each point
+    const tangents = points.map((p1, i) => {
         const p0 = points[(i - 1 + n) % n];
-        const p1 = points[i];
         const p2 = points[(i + 1) % n];
-        const p3 = points[(i + 2) % n];
+        const dPrev = knots[(i - 1 + n) % n];
+        const dNext = knots[i];
+        const scale = 2 * (p1.tension ?? 0.5);
+
+        if (p1.corner) {
+            return {
+                out: { x: (p2.x - p1.x) / dNext * scale, y: (p2.y - p1.y) / dNext * scale },
+                in: { x: (p1.x - p0.x) / dPrev * scale, y: (p1.y - p0.y) / dPrev * scale }
+            };
+        }
+
+        // Non-uniform Catmull-Rom derivative at P1
+        const m = {
+            x: ((p1.x - p0.x) / dPrev - (p2.x - p0.x) / (dPrev + dNext) + (p2.x - p1.x) / dNext) * scale,
+            y: ((p1.y - p0.y) / dPrev - (p2.y - p0.y) / (dPrev + dNext) + (p2.y - p1.y) / dNext) * scale
+        };
+        return { out: m, in: m };
+    });
 
-        // Catmull-Rom tangents
-        // T1 = (P2 - P0) * tension (0.5 for standard catmull-rom)
-        const t1x = (p2.x - p0.x) * 0.5;
-        const t1y = (p2.y - p0.y) * 0.5;
+    for (let i = 0; i < n; i++) {
+        const p1 = points[i];
+        const p2 = points[(i + 1) % n];
+        const d = knots[i];
 
-        const t2x = (p3.x - p1.x) * 0.5;
-        const t2y = (p3.y - p1.y) * 0.5;
+        // Catmull-Rom tangents, scaled to this segment's knot interval
+        const t1 = tangents[i].out;
+        const t2 = tangents[(i + 1) % n].in;
 
         // Cubic Bezier Control Points
         // C1 = P1 + T1 / 3
-        const c1x = p1.x + t1x / 3;
-        const c1y = p1.y + t1y / 3;
+        const c1x = p1.x + t1.x * d / 3;
+        const c1y = p1.y + t1.y * d / 3;
 
         // C2 = P2 - T2 / 3
-        const c2x = p2.x - t2x / 3;
-        const c2y = p2.y - t2y / 3;
+        const c2x = p2.x - t2.x * d / 3;
+        const c2y = p2.y - t2.y * d / 3;
 
         // Segment: Start P1, C1, C2, End P2
         // We will store as: { p1, c1: {x,y}, c2: {x,y}, p2 }
@@ -48,25 +85,160 @@ export function getCatmullRomBezierPath(points) {
            Since it's a closed loop, we'll construct the d attribute later stringing these together.
         */
         pathCmds.push({
-            p1: { ...p1 },
+            p1: { x: p1.x, y: p1.y },
             c1: { x: c1x, y: c1y },
             c2: { x: c2x, y: c2y },
-            p2: { ...p2 }
+            p2: { x: p2.x, y: p2.y }
         });
     }
 
     return pathCmds;
 }
 
+/**
+ * Knot spacing exponent for each spline parameterisation
+ */
+export const SPLINE_ALPHA = { uniform: 0, centripetal: 0.5, chordal: 1 };
+
+/**
+ * Reads the Bezier handles off the Catmull-Rom curve through points.
+ * Returns one { handleIn, handleOut } per point, each an offset from the point:
+ * handleOut is C1 of the segment leaving it, handleIn is C2 of the segment arriving.
+ */
+export function getSplineHandles(points, options = {}) {
+    const path = getCatmullRomBezierPath(points, options);
+    const n = points.length;
+    return points.map((p, i) => {
+        const leaving = path[i];
+        const arriving = path[(i - 1 + n) % n];
+        return {
+            handleIn: { x: arriving.c2.x - p.x, y: arriving.c2.y - p.y },
+            handleOut: { x: leaving.c1.x - p.x, y: leaving.c1.y - p.y }
+        };
+    });
+}
+
+/**
+ * Builds the closed path for direct handle editing: points carrying handleIn /
+ * handleOut offsets use them as control points, points without fall back to
+ * the Catmull-Rom curve (options as for getCatmullRomBezierPath).
+ */
+export function getHandleBezierPath(points, options = {}) {
+    const path = getCatmullRomBezierPath(points, options);
+    const n = points.length;
+    return path.map((seg, i) => {
+        const p1 = points[i];
+        const p2 = points[(i + 1) % n];
+        return {
+            p1: seg.p1,
+            c1: p1.handleOut ? { x: p1.x + p1.handleOut.x, y: p1.y + p1.handleOut.y } : seg.c1,
+            c2: p2.handleIn ? { x: p2.x + p2.handleIn.x, y: p2.y + p2.handleIn.y } : seg.c2,
+            p2: seg.p2
+        };
+    });
+}
+
+/**
+ * Ways of moving from the start value (outer) to the end value (inner)
+ */
+export const SCALE_SCHEDULES = ['linear', 'easeIn', 'easeOut', 'easeInOut', 'exponential', 'constantGap', 'custom'];
+
+/**
+ * Maps inward progress u (0-1) to how far the scale (or gap) has moved from its
+ * start value to its end value. 'custom' interpolates linearly through curve,
+ * values at evenly spaced u.
+ */
+export function easeSchedule(schedule, u, curve = []) {
+    switch (schedule) {
+        case 'easeIn': return u * u;
+        case 'easeOut': return 1 - (1 - u) * (1 - u);
+        case 'easeInOut': return u * u * (3 - 2 * u);
+        case 'exponential': return (2 ** (6 * u) - 1) / 63;
+        case 'custom': {
+            if (curve.length < 2) return u;
+            const x = u * (curve.length - 1);
+            const i = Math.min(Math.floor(x), curve.length - 2);
+            return curve[i] + (curve[i + 1] - curve[i]) * (x - i);
+        }
+        default: return u;
+    }
+}
+
+/**
+ * Finds scales that give exactly `rings` rings (nests.length - 1) in scale mode.
+ * Every step is stretched by a common factor k, s' = 1 - k * (1 - s) (for
+ * 'constantGap' that scales the gap), and k is bisected until the count matches;
+ * when no factor hits it exactly the closest count wins.
+ * Returns { startScale, endScale, gap } to pass on to generateNests.
+ */
+export function solveRingCount(basePath, C, startScale, endScale, minSize, rings, options = {}) {
+    const { gap = 0.4 } = options;
+    const apply = k => ({
+        startScale: 1 - k * (1 - startScale),
+        endScale: 1 - k * (1 - endScale),
+        gap: gap * k
+    });
+    const count = k => {
+        const p = apply(k);
+        return generateNests(basePath, C, p.startScale, p.endScale, minSize, { ...options, gap: p.gap }).length - 1;
+    };
+
+    // Keep every scale above zero
+    let lo = 0.01;
+    let hi = options.schedule === 'constantGap' ? 1 / 0.01 : 0.99 / Math.max(1 - Math.min(startScale, endScale), 0.01);
+    let best = 1;
+    let bestError = Infinity;
+
+    for (let i = 0; i < 40; i++) {
+        const k = (lo + hi) / 2;
+        const n = count(k);
+        const error = Math.abs(n - rings);
+        if (error < bestError) {
+            best = k;
+            bestError = error;
+        }
+        if (n === rings) break;
+        if (n > rings) lo = k; // Steps too small
+        else hi = k;
+    }
+
+    return apply(best);
+}
+
 /**
  * Generate Nested Curves based on Convergence Point C, Start Scale, and End Scale.
  * Uses Affine Scaling with interpolated scale factor.
+ *
+ * options.mode = 'offset' switches to constant-width rings: each nest is a parallel
+ * offset of the base curve, stepping inward by a gap interpolated from
+ * options.startGap (outer) to options.endGap (inner), in inches. C and the scales
+ * are unused in that mode.
+ *
+ * options.schedule shapes the interpolation (see SCALE_SCHEDULES); 'custom' reads
+ * options.curve, and 'constantGap' steps every ring by options.gap inches instead
+ * of using the start/end values.
+ *
+ * options.convergencePath (points after C) makes the scaling target drift: each
+ * nest scales toward the point on the spline C -> path at the same inward progress.
+ *
+ * options.twistStart / twistEnd turn each nest about C by that many degrees more
+ * (counter-clockwise) than the one outside it, at the outer / inner ring, eased
+ * by options.twistSchedule.
+ * Sizes and termination are measured on the untwisted nests.
  */
-export function generateNests(basePath, C, startScale, endScale, minSize) {
+export function generateNests(basePath, C, startScale, endScale, minSize, options = {}) {
+    const {
+        mode = 'scale', startGap = 0.5, endGap = 0.5,
+        schedule = 'linear', curve = [], gap: ringGap = 0.4, convergencePath = [],
+        twistStart = 0, twistEnd = 0, twistSchedule = 'linear'
+    } = options;
+    const targets = [C, ...convergencePath];
     const nests = [];
     nests.push(basePath);
 
     let currentPath = basePath;
+    let offsetDistance = 0;
+    let twist = 0; // Radians
     let safety = 0;
 
     // Bounds width of base curve for interpolation
@@ -92,19 +264,45 @@ export function generateNests(basePath, C, startScale, endScale, minSize) {
         }
         t = Math.max(0, Math.min(1, t)); // Clamp
 
-        const s = endScale + (startScale - endScale) * t;
+        // Progress inward (0 at the base curve, 1 at minSize), eased by the schedule
+        const e = easeSchedule(schedule, 1 - t, curve);
+
+        let nextPath;
+        if (mode === 'offset') {
+            // Offset the base curve by the running total rather than the previous
+            // nest, so segment counts don't compound from ring to ring
+            const gap = schedule === 'constantGap' ? ringGap : startGap + (endGap - startGap) * e;
+            if (gap <= 0) break;
+            offsetDistance += gap;
+            nextPath = removeSelfIntersections(offsetPath(basePath, -offsetDistance, 0.002));
+
+            // Shape has been eaten away completely (or only an inside-out remnant is left)
+            if (!nextPath || Math.sign(getPathSignedArea(nextPath)) !== Math.sign(getPathSignedArea(basePath))) break;
+        } else {
+            // Constant gap: the scale that moves a circle of this size in by ringGap
+            const s = schedule === 'constantGap'
+                ? 1 - 4 * ringGap / (bbox.width + bbox.height)
+                : startScale + (endScale - startScale) * e;
+            if (s <= 0) break;
+
+            const target = getOpenSplinePoint(targets, 1 - t);
+
+            // Generate Next Path (Affine Scaling)
+            nextPath = currentPath.map(seg => {
+                return {
+                    p1: scalePt(seg.p1, target, s),
+                    c1: scalePt(seg.c1, target, s),
+                    c2: scalePt(seg.c2, target, s),
+                    p2: scalePt(seg.p2, target, s)
+                };
+            });
+        }
 
-        // Generate Next Path (Affine Scaling)
-        const nextPath = currentPath.map(seg => {
-            return {
-                p1: scalePt(seg.p1, C, s),
-                c1: scalePt(seg.c1, C, s),
-                c2: scalePt(seg.c2, C, s),
-                p2: scalePt(seg.p2, C, s)
-            };
-        });
+        const twistStep = twistStart + (twistEnd - twistStart) * easeSchedule(twistSchedule, 1 - t);
+        twist += twistStep * Math.PI / 180;
 
-        nests.push(nextPath);
+        // Negative: y points down, so this turns the nest counter-clockwise on screen
+        nests.push(twist !== 0 ? rotatePath(nextPath, C, -twist) : nextPath);
         currentPath = nextPath;
         safety++;
     }
@@ -112,6 +310,29 @@ export function generateNests(basePath, C, startScale, endScale, minSize) {
     return nests;
 }
 
+/**
+ * Point at u (0-1) along an open Catmull-Rom spline through points, with the
+ * parameter split evenly between spans. A single point is returned as is.
+ */
+export function getOpenSplinePoint(points, u) {
+    if (points.length === 1) return points[0];
+    const n = points.length - 1;
+    const x = Math.max(0, Math.min(1, u)) * n;
+    const i = Math.min(Math.floor(x), n - 1);
+    const t = x - i;
+
+    // Ends are extended by repeating the end points
+    const p0 = points[Math.max(i - 1, 0)];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[Math.min(i + 2, n)];
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const blend = (a, b, c, d) =>
+        0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+    return { x: blend(p0.x, p1.x, p2.x, p3.x), y: blend(p0.y, p1.y, p2.y, p3.y) };
+}
+
 function scalePt(P, C, s) {
     return {
         x: C.x + s * (P.x - C.x),
@@ -119,23 +340,143 @@ function scalePt(P, C, s) {
     };
 }
 
-function getPathBBox(pathSegs) {
+/**
+ * Exact bounding box of a path: each segment's box comes from its end points and
+ * the interior extrema, where the derivative (a quadratic per axis) is zero.
+ * Returns { minX, minY, maxX, maxY, width, height }.
+ */
+export function getPathBBox(pathSegs) {
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
 
-    // Approximation using just control points and endpoints is often "good enough" for termination logic
-    // but for strict bbox we might want to sample. 
-    // Given the requirement "Size exceeds x", using control points hull is a safe over-estimation 
-    // (Actual curve is inside Convex Hull).
-    // If Hull < minSize, then Curve < minSize.
+    for (const seg of pathSegs) {
+        const ts = [0, 1, ...bezierExtrema(seg, 'x'), ...bezierExtrema(seg, 'y')];
+        for (const t of ts) {
+            const pt = getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, t);
+            minX = Math.min(minX, pt.x);
+            maxX = Math.max(maxX, pt.x);
+            minY = Math.min(minY, pt.y);
+            maxY = Math.max(maxY, pt.y);
+        }
+    }
+
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+// Values of t in (0, 1) where the segment's derivative along axis is zero
+function bezierExtrema(seg, axis) {
+    const p1 = seg.p1[axis], c1 = seg.c1[axis], c2 = seg.c2[axis], p2 = seg.p2[axis];
+    // B'(t) / 3 = a t^2 + b t + c
+    const a = -p1 + 3 * c1 - 3 * c2 + p2;
+    const b = 2 * (p1 - 2 * c1 + c2);
+    const c = c1 - p1;
+
+    let roots;
+    if (Math.abs(a) < 1e-12) {
+        roots = Math.abs(b) < 1e-12 ? [] : [-c / b];
+    } else {
+        const disc = b * b - 4 * a * c;
+        if (disc < 0) return [];
+        const sq = Math.sqrt(disc);
+        roots = [(-b + sq) / (2 * a), (-b - sq) / (2 * a)];
+    }
+    return roots.filter(t => t > 0 && t < 1);
+}
+
+/**
+ * Returns a copy of the path moved by (dx, dy)
+ */
+export function translatePath(pathSegs, dx, dy) {
+    const move = P => ({ x: P.x + dx, y: P.y + dy });
+    return pathSegs.map(seg => ({
+        p1: move(seg.p1),
+        c1: move(seg.c1),
+        c2: move(seg.c2),
+        p2: move(seg.p2)
+    }));
+}
+
+/**
+ * Returns a copy of the path scaled by factor about the origin (unit conversion)
+ */
+export function scalePath(pathSegs, factor) {
+    const scale = P => ({ x: P.x * factor, y: P.y * factor });
+    return pathSegs.map(seg => ({
+        p1: scale(seg.p1),
+        c1: scale(seg.c1),
+        c2: scale(seg.c2),
+        p2: scale(seg.p2)
+    }));
+}
+
+/**
+ * Returns a copy of the path rotated by angle (radians) about center
+ */
+export function rotatePath(pathSegs, center, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const turn = P => ({
+        x: center.x + (P.x - center.x) * cos - (P.y - center.y) * sin,
+        y: center.y + (P.x - center.x) * sin + (P.y - center.y) * cos
+    });
+    return pathSegs.map(seg => ({
+        p1: turn(seg.p1),
+        c1: turn(seg.c1),
+        c2: turn(seg.c2),
+        p2: turn(seg.p2)
+    }));
+}
 
+/**
+ * Enclosed area of a closed path (always positive).
+ */
+export function getPathArea(pathSegs) {
+    return Math.abs(getPathSignedArea(pathSegs));
+}
+
+/**
+ * Signed area of a closed path; positive means the left-hand normal (-ty, tx) points inside.
+ * Green's theorem per segment; x * y' is degree 5 in t, so 3-point Gauss-Legendre is exact.
+ */
+export function getPathSignedArea(pathSegs) {
+    const nodes = [-Math.sqrt(3 / 5), 0, Math.sqrt(3 / 5)];
+    const weights = [5 / 9, 8 / 9, 5 / 9];
+    let area = 0;
     for (const seg of pathSegs) {
-        minX = Math.min(minX, seg.p1.x, seg.c1.x, seg.c2.x, seg.p2.x);
-        maxX = Math.max(maxX, seg.p1.x, seg.c1.x, seg.c2.x, seg.p2.x);
-        minY = Math.min(minY, seg.p1.y, seg.c1.y, seg.c2.y, seg.p2.y);
-        maxY = Math.max(maxY, seg.p1.y, seg.c1.y, seg.c2.y, seg.p2.y);
+        for (let i = 0; i < nodes.length; i++) {
+            const t = (nodes[i] + 1) / 2;
+            const pt = getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, t);
+            const tan = getBezierTangent(seg.p1, seg.c1, seg.c2, seg.p2, t);
+            area += weights[i] * 0.5 * (pt.x * tan.y - pt.y * tan.x) * 0.5;
+        }
     }
+    return area;
+}
 
-    return { width: maxX - minX, height: maxY - minY };
+// 5-point Gauss-Legendre rule on [-1, 1]
+const GL5_NODES = [-0.9061798459386640, -0.5384693101056831, 0, 0.5384693101056831, 0.9061798459386640];
+const GL5_WEIGHTS = [0.2369268850561891, 0.4786286704993665, 0.5688888888888889, 0.4786286704993665, 0.2369268850561891];
+
+/**
+ * Centroid of the area enclosed by a closed path, by Green's theorem:
+ * Cx = (1 / 2A) * integral of x^2 dy, Cy = -(1 / 2A) * integral of y^2 dx.
+ * The integrands are degree 8 in t, so 5-point Gauss-Legendre is exact.
+ */
+export function getPathCentroid(pathSegs) {
+    const area = getPathSignedArea(pathSegs);
+    if (area === 0) return null;
+
+    let mx = 0;
+    let my = 0;
+    for (const seg of pathSegs) {
+        for (let i = 0; i < GL5_NODES.length; i++) {
+            const t = (GL5_NODES[i] + 1) / 2;
+            const pt = getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, t);
+            const tan = getBezierTangent(seg.p1, seg.c1, seg.c2, seg.p2, t);
+            mx += GL5_WEIGHTS[i] * pt.x * pt.x * tan.y * 0.5;
+            my -= GL5_WEIGHTS[i] * pt.y * pt.y * tan.x * 0.5;
+        }
+    }
+    return { x: mx / (2 * area), y: my / (2 * area) };
 }
 
 export function pathToSvgD(pathSegs) {
@@ -148,6 +489,23 @@ export function pathToSvgD(pathSegs) {
     return d;
 }
 
+/**
+ * Path data for an open path whose segments need not join: a new subpath starts
+ * wherever a segment doesn't begin at the end of the previous one
+ */
+export function openPathToSvgD(pathSegs) {
+    let d = '';
+    let last = null;
+    for (const seg of pathSegs) {
+        if (!last || Math.hypot(seg.p1.x - last.x, seg.p1.y - last.y) > 1e-9) {
+            d += `${d ? ' ' : ''}M ${seg.p1.x.toFixed(4)} ${seg.p1.y.toFixed(4)}`;
+        }
+        d += ` C ${seg.c1.x.toFixed(4)} ${seg.c1.y.toFixed(4)}, ${seg.c2.x.toFixed(4)} ${seg.c2.y.toFixed(4)}, ${seg.p2.x.toFixed(4)} ${seg.p2.y.toFixed(4)}`;
+        last = seg.p2;
+    }
+    return d;
+}
+
 /**
  * Samples a point on a cubic bezier segment at t [0, 1]
  */
@@ -173,86 +531,168 @@ export function getBezierTangent(p1, c1, c2, p2, t) {
 
 
 /**
- * Calculates the length of a cubic bezier segment using numerical integration (simpson's rule equivalent or subdivision)
+ * Arc length of a cubic bezier segment from 0 to t, by adaptive Gauss-Legendre
+ * quadrature: an interval is halved until its two halves agree with the whole
+ * within tolerance (inches).
  */
-function getBezierLength(p1, c1, c2, p2, steps = 10) {
-    let len = 0;
-    let prev = p1;
-    for (let i = 1; i <= steps; i++) {
-        const t = i / steps;
-        const curr = getBezierPt(p1, c1, c2, p2, t);
-        len += Math.hypot(curr.x - prev.x, curr.y - prev.y);
-        prev = curr;
+export function getBezierLength(p1, c1, c2, p2, t = 1, tolerance = 1e-7) {
+    const speedIntegral = (a, b) => bezierSpeedIntegral(p1, c1, c2, p2, a, b);
+
+    const adaptive = (a, b, whole, tol, depth) => {
+        const m = (a + b) / 2;
+        const left = speedIntegral(a, m);
+        const right = speedIntegral(m, b);
+        if (depth >= 12 || Math.abs(left + right - whole) < tol) return left + right;
+        return adaptive(a, m, left, tol / 2, depth + 1) + adaptive(m, b, right, tol / 2, depth + 1);
+    };
+
+    if (t <= 0) return 0;
+    return adaptive(0, t, speedIntegral(0, t), tolerance, 0);
+}
+
+// Single 5-point Gauss-Legendre estimate of the arc length between t = a and t = b
+function bezierSpeedIntegral(p1, c1, c2, p2, a, b) {
+    let sum = 0;
+    for (let i = 0; i < GL5_NODES.length; i++) {
+        const tan = getBezierTangent(p1, c1, c2, p2, (a + b) / 2 + (b - a) / 2 * GL5_NODES[i]);
+        sum += GL5_WEIGHTS[i] * Math.hypot(tan.x, tan.y);
     }
-    return len;
+    return sum * (b - a) / 2;
 }
 
 /**
- * Samples the entire closed path at a normalized distance s [0, 1] using Arc-Length Parameterization
- * Returns { point, normal, tangent }
+ * Total arc length of a path in inches
  */
-export function getPathPropertiesAt(pathSegs, s) {
-    if (pathSegs.length === 0) return null;
-
-    // 1. Calculate lengths of all segments
-    const lengths = pathSegs.map(seg => getBezierLength(seg.p1, seg.c1, seg.c2, seg.p2, 20));
-    const totalLength = lengths.reduce((a, b) => a + b, 0);
+export function getPathLength(pathSegs, tolerance = 1e-7) {
+    return pathSegs.reduce((sum, seg) => sum + getBezierLength(seg.p1, seg.c1, seg.c2, seg.p2, 1, tolerance), 0);
+}
 
-    // 2. Find target length
-    s = ((s % 1) + 1) % 1; // Wrap s to [0, 1]
-    let targetLen = s * totalLength;
+// Arc-length tables by path; paths are never modified in place, so a table stays valid
+const arcLengthTables = new WeakMap();
+const ARC_SAMPLES_PER_SEGMENT = 8;
 
-    // 3. Find segment
-    let currentLen = 0;
-    let segIdx = 0;
-    for (let i = 0; i < lengths.length; i++) {
-        if (currentLen + lengths[i] >= targetLen) {
-            segIdx = i;
-            break;
+/**
+ * Arc-length parameterisation of a path, built once and cached per path array.
+ * Holds the cumulative length at ARC_SAMPLES_PER_SEGMENT even steps of t in each
+ * segment; a lookup binary-searches the table and refines t with Newton's method
+ * on the length within that step.
+ * Returns { totalLength, locate(s) -> { segIndex, t }, propertiesAt(s) } with s
+ * the normalized distance along the path (wrapped to [0, 1)).
+ */
+export function getArcLengthTable(pathSegs) {
+    let table = arcLengthTables.get(pathSegs);
+    if (table) return table;
+
+    const steps = ARC_SAMPLES_PER_SEGMENT;
+    const cumulative = [0];
+    pathSegs.forEach(seg => {
+        for (let j = 0; j < steps; j++) {
+            const len = bezierSpeedIntegral(seg.p1, seg.c1, seg.c2, seg.p2, j / steps, (j + 1) / steps);
+            cumulative.push(cumulative[cumulative.length - 1] + len);
+        }
+    });
+    const totalLength = cumulative[cumulative.length - 1];
+
+    const locate = s => {
+        s = ((s % 1) + 1) % 1; // Wrap s to [0, 1]
+        const target = s * totalLength;
+
+        // Last table entry at or before the target
+        let lo = 0;
+        let hi = cumulative.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (cumulative[mid] <= target) lo = mid;
+            else hi = mid;
         }
-        currentLen += lengths[i];
-    }
 
-    // 4. Find t within segment
-    const seg = pathSegs[segIdx];
-    const segTarget = targetLen - currentLen;
-    // Inverse solve for t where length(t) ~= segTarget
-    // Simple approach: Walk and find
-    let t = 0;
-    let bestDist = Infinity;
-
-    // We can just re-walk the segment with finer grain to find t
-    // Optimization: Standard 20 steps is usually enough for visual binding
-    let prev = seg.p1;
-    let walked = 0;
-    const fineSteps = 40;
-
-    for (let i = 1; i <= fineSteps; i++) {
-        const localT = i / fineSteps;
-        const curr = getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, localT);
-        const stepLen = Math.hypot(curr.x - prev.x, curr.y - prev.y);
-
-        if (walked + stepLen >= segTarget) {
-            // Intepolate fraction between previous walked amount and this step
-            const remain = segTarget - walked;
-            const frac = remain / stepLen;
-            t = ((i - 1) + frac) / fineSteps;
-            break;
+        const segIndex = Math.min(Math.floor(lo / steps), pathSegs.length - 1);
+        const seg = pathSegs[segIndex];
+        const t0 = (lo - segIndex * steps) / steps;
+        const t1 = t0 + 1 / steps;
+        const stepLen = cumulative[lo + 1] - cumulative[lo];
+        const remaining = target - cumulative[lo];
+
+        // Newton on f(t) = length(t0 -> t) - remaining, starting from linear interpolation
+        let t = stepLen > 0 ? t0 + (t1 - t0) * remaining / stepLen : t0;
+        for (let i = 0; i < 3; i++) {
+            const tan = getBezierTangent(seg.p1, seg.c1, seg.c2, seg.p2, t);
+            const speed = Math.hypot(tan.x, tan.y);
+            if (speed < 1e-12) break;
+            const f = bezierSpeedIntegral(seg.p1, seg.c1, seg.c2, seg.p2, t0, t) - remaining;
+            t = Math.max(t0, Math.min(t1, t - f / speed));
         }
+        return { segIndex, t };
+    };
 
-        walked += stepLen;
-        prev = curr;
-    }
+    const propertiesAt = s => {
+        const { segIndex, t } = locate(s);
+        const seg = pathSegs[segIndex];
+        const pt = getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, t);
+        const tan = getBezierTangent(seg.p1, seg.c1, seg.c2, seg.p2, t);
 
-    // 5. Sample at found t
-    const pt = getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, t);
-    const tan = getBezierTangent(seg.p1, seg.c1, seg.c2, seg.p2, t);
+        // Normal
+        const len = Math.hypot(tan.x, tan.y);
+        const normal = { x: -tan.y / len, y: tan.x / len };
 
-    // Normal
-    const len = Math.hypot(tan.x, tan.y);
-    const normal = { x: -tan.y / len, y: tan.x / len };
+        return { point: pt, normal, tangent: { x: tan.x / len, y: tan.y / len } };
+    };
 
-    return { point: pt, normal, tangent: { x: tan.x / len, y: tan.y / len } };
+    table = { totalLength, locate, propertiesAt };
+    arcLengthTables.set(pathSegs, table);
+    return table;
+}
+
+/**
+ * Samples the entire closed path at a normalized distance s [0, 1] using Arc-Length Parameterization
+ * Returns { point, normal, tangent }
+ */
+export function getPathPropertiesAt(pathSegs, s) {
+    if (pathSegs.length === 0) return null;
+    return getArcLengthTable(pathSegs).propertiesAt(s);
+}
+
+/**
+ * Pivot of a rib (the ring between outerCurve and innerCurve) at normalized position s.
+ * By default this is the point on the outer edge. With `centred` it moves to the middle
+ * of the ring, halfway to the matching point on the inner curve, so a dowel hole
+ * drilled there sits inside the material.
+ */
+export function getRibPivot(outerCurve, innerCurve, s, centred = false) {
+    const outerProps = getPathPropertiesAt(outerCurve, s);
+    if (!outerProps) return null;
+    if (!centred || !innerCurve) return outerProps.point;
+
+    const innerProps = getPathPropertiesAt(innerCurve, s);
+    if (!innerProps) return outerProps.point;
+
+    return {
+        x: (outerProps.point.x + innerProps.point.x) / 2,
+        y: (outerProps.point.y + innerProps.point.y) / 2
+    };
+}
+
+/**
+ * Pivot of every rib in a stack of nests (see getRibPivot). update3D stacks the ribs
+ * on these points and the exports punch dowel holes or score marks at them, so both
+ * must use the same `centred`: true with dowel holes, false without.
+ */
+export function getStackPivots(nests, s, centred) {
+    return nests.slice(0, -1).map((outerCurve, k) => getRibPivot(outerCurve, nests[k + 1], s, centred));
+}
+
+/**
+ * Closed circle as four cubic segments in the same {p1, c1, c2, p2} format as the curves
+ */
+export function getCirclePath(center, r) {
+    const k = 0.5522847498 * r; // Control distance for a quarter-circle cubic
+    const { x, y } = center;
+    return [
+        { p1: { x: x + r, y }, c1: { x: x + r, y: y + k }, c2: { x: x + k, y: y + r }, p2: { x, y: y + r } },
+        { p1: { x, y: y + r }, c1: { x: x - k, y: y + r }, c2: { x: x - r, y: y + k }, p2: { x: x - r, y } },
+        { p1: { x: x - r, y }, c1: { x: x - r, y: y - k }, c2: { x: x - k, y: y - r }, p2: { x, y: y - r } },
+        { p1: { x, y: y - r }, c1: { x: x + k, y: y - r }, c2: { x: x + r, y: y - k }, p2: { x: x + r, y } }
+    ];
 }
 
 // --- Color Helpers ---
@@ -0,0 +1,39 @@
+import { getPathBBox, getPathArea, getPathLength } from './math.js';
+
+// Measurements
+//
+// Sizes, areas and cut lengths of one shape's nests for the measurement panel.
+// Lengths are exact arc lengths, so cut time estimates follow the real toolpath.
+
+/**
+ * @param {Array} nests - nested paths from generateNests
+ * @param {number} thickness - material thickness in inches
+ * @returns {{ width, height, nestCount, rings, stackHeight, nestedCutLength, ringCutLength }}
+ *   rings holds { layer, area, perimeter } for each ring (outer contour + hole).
+ *   nestedCutLength cuts every curve once (nested export); ringCutLength cuts each
+ *   ring separately, so shared curves count twice (layer and sheet exports).
+ */
+export function measureNests(nests, thickness) {
+    const base = nests.length > 0 ? getPathBBox(nests[0]) : { width: 0, height: 0 };
+    const lengths = nests.map(path => getPathLength(path, 1e-5));
+    const areas = nests.map(getPathArea);
+
+    const rings = [];
+    for (let k = 0; k < nests.length - 1; k++) {
+        rings.push({
+            layer: k + 1,
+            area: areas[k] - areas[k + 1],
+            perimeter: lengths[k] + lengths[k + 1]
+        });
+    }
+
+    return {
+        width: base.width,
+        height: base.height,
+        nestCount: nests.length,
+        rings,
+        stackHeight: Math.max(nests.length - 1, 0) * thickness,
+        nestedCutLength: lengths.reduce((a, b) => a + b, 0),
+        ringCutLength: rings.reduce((sum, ring) => sum + ring.perimeter, 0)
+    };
+}
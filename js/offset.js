@@ -0,0 +1,351 @@
+import { getBezierPt, getBezierTangent, getPathSignedArea } from './math.js';
+
+// Curve Offsetting
+//
+// Offsets closed paths of cubic segments ({p1, c1, c2, p2}) by a fixed distance.
+// Each segment is approximated with the Tiller-Hanson construction (offset the
+// control polygon legs and intersect them) and split in half until the result
+// stays within tolerance of the exact offset curve.
+
+const MAX_DEPTH = 6;
+
+/**
+ * Offsets a closed path by distance (inches).
+ * Positive distances grow the shape outward, negative ones shrink it inward.
+ * Gaps opened at sharp corners are closed with round joins, matching the
+ * shape a round laser beam or cutter leaves.
+ */
+export function offsetPath(pathSegs, distance, tolerance = 0.001) {
+    if (pathSegs.length === 0 || distance === 0) return pathSegs;
+
+    // Normal (-ty, tx) points to the left of travel, which is inside for
+    // positive signed area, so flip it to make positive distances go outward.
+    const d = getPathSignedArea(pathSegs) > 0 ? -distance : distance;
+
+    const pieces = pathSegs.map(seg => offsetSegment(seg, d, tolerance, 0));
+
+    const result = [];
+    pieces.forEach((piece, i) => {
+        result.push(...piece);
+
+        // Join to the next piece if the offset pulled them apart
+        const next = pieces[(i + 1) % pieces.length];
+        const end = piece[piece.length - 1].p2;
+        const start = next[0].p1;
+        if (Math.hypot(end.x - start.x, end.y - start.y) > tolerance) {
+            const seg = pathSegs[i];
+            const t1 = getSegTangent(seg, 1);
+            const t2 = getSegTangent(pathSegs[(i + 1) % pathSegs.length], 0);
+            const turn = t1.x * t2.y - t1.y * t2.x;
+
+            // Turning away from the offset side opens a gap; turning into it
+            // makes the pieces overlap, which a straight connector bridges
+            if (turn * d < 0) {
+                result.push(...arcJoin(seg.p2, end, start, Math.abs(distance)));
+            } else {
+                result.push(lineSegment(end, start));
+            }
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Removes the loops an inward offset leaves where the distance exceeds the
+ * local radius of curvature (and the smaller lobe where a narrow neck pinches
+ * the shape in two). At each crossing the shorter stretch of path is cut out.
+ * Returns null when nothing with a positive area is left.
+ */
+export function removeSelfIntersections(pathSegs, samples = 8) {
+    let path = pathSegs;
+
+    for (let pass = 0; pass < 50; pass++) {
+        const crossing = findSelfIntersection(path, samples);
+        if (!crossing) break;
+
+        const { a, b } = crossing;
+        const inner = pathLengthBetween(path, a, b, samples);
+        const total = pathLengthBetween(path, { seg: 0, t: 0 }, { seg: path.length, t: 0 }, samples);
+
+        // Keep the longer side of the crossing
+        path = inner > total / 2 ? extractRange(path, a, b) : extractRange(path, b, a);
+        if (path.length === 0) return null;
+    }
+
+    if (Math.abs(getPathSignedArea(path)) < 1e-6) return null;
+    return path;
+}
+
+// Flattens the path into polyline edges tagged with their segment and t range
+function flattenPath(pathSegs, samples) {
+    const edges = [];
+    pathSegs.forEach((seg, i) => {
+        let prev = seg.p1;
+        for (let k = 1; k <= samples; k++) {
+            const t = k / samples;
+            const curr = getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, t);
+            edges.push({ seg: i, t0: (k - 1) / samples, t1: t, a: prev, b: curr });
+            prev = curr;
+        }
+    });
+    return edges;
+}
+
+// First crossing between two non-neighbouring polyline edges, as path positions { seg, t }
+function findSelfIntersection(pathSegs, samples) {
+    const edges = flattenPath(pathSegs, samples);
+    const n = edges.length;
+
+    // Segment bounding boxes rule out most edge pairs cheaply
+    // (the control polygon bounds the segment), so each edge is only tested against
+    // the edges of segments whose box overlaps its own segment's
+    const boxes = pathSegs.map(seg => ({
+        minX: Math.min(seg.p1.x, seg.c1.x, seg.c2.x, seg.p2.x),
+        maxX: Math.max(seg.p1.x, seg.c1.x, seg.c2.x, seg.p2.x),
+        minY: Math.min(seg.p1.y, seg.c1.y, seg.c2.y, seg.p2.y),
+        maxY: Math.max(seg.p1.y, seg.c1.y, seg.c2.y, seg.p2.y)
+    }));
+    const overlapping = boxes.map((b1, i) => boxes
+        .map((b2, j) => j)
+        .filter(j => j >= i && !(b1.maxX < boxes[j].minX || boxes[j].maxX < b1.minX || b1.maxY < boxes[j].minY || boxes[j].maxY < b1.minY)));
+
+    // Edges are tested in the same order as a plain scan of every pair (i, j > i + 1),
+    // so the first crossing found is the same
+    for (let i = 0; i < n; i++) {
+        const e1 = edges[i];
+        for (const seg of overlapping[e1.seg]) {
+            const first = Math.max(seg * samples, i + 2);
+            const last = (seg + 1) * samples;
+            for (let j = first; j < last; j++) {
+                if (i === 0 && j === n - 1) continue; // Neighbours across the closing point
+
+                const e2 = edges[j];
+                const hit = intersectEdges(e1.a, e1.b, e2.a, e2.b);
+                if (hit) {
+                    return {
+                        a: { seg: e1.seg, t: e1.t0 + (e1.t1 - e1.t0) * hit.u },
+                        b: { seg: e2.seg, t: e2.t0 + (e2.t1 - e2.t0) * hit.v }
+                    };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+function intersectEdges(p1, p2, q1, q2) {
+    const r = { x: p2.x - p1.x, y: p2.y - p1.y };
+    const s = { x: q2.x - q1.x, y: q2.y - q1.y };
+    const cross = r.x * s.y - r.y * s.x;
+    if (Math.abs(cross) < 1e-12) return null;
+    const u = ((q1.x - p1.x) * s.y - (q1.y - p1.y) * s.x) / cross;
+    const v = ((q1.x - p1.x) * r.y - (q1.y - p1.y) * r.x) / cross;
+    if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+    return { u, v };
+}
+
+// Approximate length travelling forward from position a to position b (a before b)
+function pathLengthBetween(pathSegs, a, b, samples) {
+    let len = 0;
+    const steps = samples * 2;
+    for (let i = a.seg; i <= Math.min(b.seg, pathSegs.length - 1); i++) {
+        const seg = pathSegs[i];
+        const t0 = i === a.seg ? a.t : 0;
+        const t1 = i === b.seg ? b.t : 1;
+        let prev = getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, t0);
+        for (let k = 1; k <= steps; k++) {
+            const curr = getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, t0 + (t1 - t0) * k / steps);
+            len += Math.hypot(curr.x - prev.x, curr.y - prev.y);
+            prev = curr;
+        }
+    }
+    return len;
+}
+
+// Closed path running forward from position `from` to position `to`, wrapping past the end
+function extractRange(pathSegs, from, to) {
+    const n = pathSegs.length;
+    const result = [];
+
+    const sameSeg = from.seg === to.seg && from.t < to.t;
+    if (sameSeg) {
+        result.push(subSegment(pathSegs[from.seg], from.t, to.t));
+    } else {
+        result.push(subSegment(pathSegs[from.seg], from.t, 1));
+        for (let i = (from.seg + 1) % n; i !== to.seg; i = (i + 1) % n) {
+            result.push(pathSegs[i]);
+        }
+        result.push(subSegment(pathSegs[to.seg], 0, to.t));
+    }
+
+    // Both ends sit on the crossing; snap them together to close the loop
+    const kept = result.filter(seg => Math.hypot(seg.p2.x - seg.p1.x, seg.p2.y - seg.p1.y) > 1e-9 ||
+        Math.hypot(seg.c1.x - seg.p1.x, seg.c1.y - seg.p1.y) > 1e-9);
+    if (kept.length === 0) return [];
+    kept[kept.length - 1] = { ...kept[kept.length - 1], p2: { ...kept[0].p1 } };
+    return kept;
+}
+
+function subSegment(seg, t0, t1) {
+    if (t0 <= 0 && t1 >= 1) return seg;
+    const [, tail] = t0 > 0 ? splitSegment(seg, t0) : [null, seg];
+    if (t1 >= 1) return tail;
+    const [head] = splitSegment(tail, (t1 - t0) / (1 - t0));
+    return head;
+}
+
+function offsetSegment(seg, d, tolerance, depth) {
+    const candidate = tillerHanson(seg, d);
+
+    // Where the distance exceeds the radius of curvature the offset runs
+    // backwards and has a cusp no subdivision can fit; those loops are for
+    // removeSelfIntersections to cut away, so don't refine them
+    const chord = { x: seg.p2.x - seg.p1.x, y: seg.p2.y - seg.p1.y };
+    const offsetChord = { x: candidate.p2.x - candidate.p1.x, y: candidate.p2.y - candidate.p1.y };
+    if (chord.x * offsetChord.x + chord.y * offsetChord.y < 0) return [candidate];
+
+    if (depth < MAX_DEPTH && offsetError(seg, candidate, d) > tolerance) {
+        const [a, b] = splitSegment(seg, 0.5);
+        return [
+            ...offsetSegment(a, d, tolerance, depth + 1),
+            ...offsetSegment(b, d, tolerance, depth + 1)
+        ];
+    }
+
+    return [candidate];
+}
+
+function tillerHanson(seg, d) {
+    const n1 = unitNormal(getSegTangent(seg, 0));
+    const n2 = unitNormal(getSegTangent(seg, 1));
+
+    const p1 = { x: seg.p1.x + n1.x * d, y: seg.p1.y + n1.y * d };
+    const p2 = { x: seg.p2.x + n2.x * d, y: seg.p2.y + n2.y * d };
+
+    // Middle leg of the control polygon, offset by d
+    const midDir = { x: seg.c2.x - seg.c1.x, y: seg.c2.y - seg.c1.y };
+    const midLen = Math.hypot(midDir.x, midDir.y);
+
+    let c1, c2;
+    if (midLen > 1e-9) {
+        const nm = unitNormal(midDir);
+        const m1 = { x: seg.c1.x + nm.x * d, y: seg.c1.y + nm.y * d };
+        const m2 = { x: seg.c2.x + nm.x * d, y: seg.c2.y + nm.y * d };
+        c1 = intersectLines(p1, { x: seg.c1.x - seg.p1.x, y: seg.c1.y - seg.p1.y }, m1, midDir);
+        c2 = intersectLines(p2, { x: seg.c2.x - seg.p2.x, y: seg.c2.y - seg.p2.y }, m2, midDir);
+    }
+
+    // Parallel or degenerate legs: carry the control points along with their ends
+    if (!c1) c1 = { x: seg.c1.x + n1.x * d, y: seg.c1.y + n1.y * d };
+    if (!c2) c2 = { x: seg.c2.x + n2.x * d, y: seg.c2.y + n2.y * d };
+
+    return { p1, c1, c2, p2 };
+}
+
+// Worst deviation of the candidate from the true offset distance, measured
+// against the closest point on the original segment
+function offsetError(seg, candidate, d) {
+    let worst = 0;
+    for (const t of [0.25, 0.5, 0.75]) {
+        const approx = getBezierPt(candidate.p1, candidate.c1, candidate.c2, candidate.p2, t);
+        const foot = closestPointOnSegment(seg, approx, t);
+        worst = Math.max(worst, Math.abs(Math.hypot(approx.x - foot.x, approx.y - foot.y) - Math.abs(d)));
+    }
+    return worst;
+}
+
+// Newton iteration on (B(t) - P) . B'(t) = 0, starting from a nearby t
+function closestPointOnSegment(seg, P, t) {
+    for (let i = 0; i < 4; i++) {
+        const pt = getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, t);
+        const d1 = getBezierTangent(seg.p1, seg.c1, seg.c2, seg.p2, t);
+        const d2 = {
+            x: 6 * (1 - t) * (seg.c2.x - 2 * seg.c1.x + seg.p1.x) + 6 * t * (seg.p2.x - 2 * seg.c2.x + seg.c1.x),
+            y: 6 * (1 - t) * (seg.c2.y - 2 * seg.c1.y + seg.p1.y) + 6 * t * (seg.p2.y - 2 * seg.c2.y + seg.c1.y)
+        };
+        const dx = pt.x - P.x;
+        const dy = pt.y - P.y;
+        const f = dx * d1.x + dy * d1.y;
+        const df = d1.x * d1.x + d1.y * d1.y + dx * d2.x + dy * d2.y;
+        if (Math.abs(df) < 1e-12) break;
+        t = Math.max(0, Math.min(1, t - f / df));
+    }
+    return getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, t);
+}
+
+/**
+ * Splits a cubic segment at t (de Casteljau), returning the two halves
+ */
+export function splitSegment(seg, t) {
+    const lerp = (a, b) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+    const a = lerp(seg.p1, seg.c1);
+    const b = lerp(seg.c1, seg.c2);
+    const c = lerp(seg.c2, seg.p2);
+    const ab = lerp(a, b);
+    const bc = lerp(b, c);
+    const mid = lerp(ab, bc);
+    return [
+        { p1: { ...seg.p1 }, c1: a, c2: ab, p2: mid },
+        { p1: { ...mid }, c1: bc, c2: c, p2: { ...seg.p2 } }
+    ];
+}
+
+// Tangent that survives control points sitting on top of their end points
+function getSegTangent(seg, t) {
+    const tan = getBezierTangent(seg.p1, seg.c1, seg.c2, seg.p2, t);
+    if (Math.hypot(tan.x, tan.y) > 1e-9) return tan;
+    const nudged = t < 0.5 ? 1e-4 : 1 - 1e-4;
+    const alt = getBezierTangent(seg.p1, seg.c1, seg.c2, seg.p2, nudged);
+    if (Math.hypot(alt.x, alt.y) > 1e-12) return alt;
+    return { x: seg.p2.x - seg.p1.x, y: seg.p2.y - seg.p1.y };
+}
+
+function unitNormal(v) {
+    const len = Math.hypot(v.x, v.y) || 1;
+    return { x: -v.y / len, y: v.x / len };
+}
+
+function intersectLines(p, dp, q, dq) {
+    const cross = dp.x * dq.y - dp.y * dq.x;
+    if (Math.abs(cross) < 1e-9) return null;
+    const t = ((q.x - p.x) * dq.y - (q.y - p.y) * dq.x) / cross;
+    return { x: p.x + dp.x * t, y: p.y + dp.y * t };
+}
+
+function lineSegment(a, b) {
+    return {
+        p1: { ...a },
+        c1: { x: a.x + (b.x - a.x) / 3, y: a.y + (b.y - a.y) / 3 },
+        c2: { x: a.x + (b.x - a.x) * 2 / 3, y: a.y + (b.y - a.y) * 2 / 3 },
+        p2: { ...b }
+    };
+}
+
+// Round join from a to b around center, split into arcs of at most 90 degrees
+function arcJoin(center, a, b, r) {
+    const a0 = Math.atan2(a.y - center.y, a.x - center.x);
+    let sweep = Math.atan2(b.y - center.y, b.x - center.x) - a0;
+    if (sweep > Math.PI) sweep -= Math.PI * 2;
+    if (sweep < -Math.PI) sweep += Math.PI * 2;
+
+    const count = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+    const step = sweep / count;
+    const k = (4 / 3) * Math.tan(step / 4) * r;
+
+    const segs = [];
+    let start = a;
+    for (let i = 1; i <= count; i++) {
+        const t0 = a0 + step * (i - 1);
+        const t1 = a0 + step * i;
+        const end = i === count ? { ...b } : { x: center.x + r * Math.cos(t1), y: center.y + r * Math.sin(t1) };
+        segs.push({
+            p1: { ...start },
+            c1: { x: start.x - k * Math.sin(t0), y: start.y + k * Math.cos(t0) },
+            c2: { x: end.x + k * Math.sin(t1), y: end.y - k * Math.cos(t1) },
+            p2: end
+        });
+        start = end;
+    }
+    return segs;
+}
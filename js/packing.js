@@ -0,0 +1,126 @@
+import { getPathBBox, getPathArea, translatePath, rotatePath } from './math.js';
+
+/**
+ * Lays ring parts out on fixed-size stock sheets.
+ *
+ * Uses shelf packing on each part's bounding box: parts are sorted tallest first,
+ * placed left to right along a shelf, and a new shelf (or sheet) is opened when
+ * the current one is full. A part is turned 90 degrees when that lets it fit.
+ *
+ * @param {Array} rings - parts from getRingParts: { layer, outer, hole, dowel?, mark?, shape? }
+ * @param {number} sheetW - sheet width in inches
+ * @param {number} sheetH - sheet height in inches
+ * @param {number} gap - kerf gap between parts and to the sheet edge, in inches
+ * @returns {{ sheets: Array, oversize: Array, utilisation: number }}
+ *   sheets holds one array of placed parts per sheet, each { layer, outer, hole, dowel?, mark?, area }
+ *   with the geometry already moved into sheet coordinates.
+ */
+export function packRings(rings, sheetW, sheetH, gap) {
+    const parts = rings.map(ring => {
+        const bbox = getPathBBox(ring.outer);
+        const area = getPathArea(ring.outer) - getPathArea(ring.hole);
+        return { ring, bbox, area };
+    });
+
+    // Largest short side first: parts are laid landscape where they fit, so the short
+    // side is usually the height they take on a shelf, and sorting by it keeps shelves tight
+    parts.sort((a, b) => Math.min(b.bbox.width, b.bbox.height) - Math.min(a.bbox.width, a.bbox.height));
+
+    const sheets = [];
+    const oversize = [];
+    const usableW = sheetW - gap;
+    const usableH = sheetH - gap;
+
+    for (const part of parts) {
+        // Prefer landscape orientation so shelves stay short
+        const orientations = [
+            { rotated: false, w: part.bbox.width, h: part.bbox.height },
+            { rotated: true, w: part.bbox.height, h: part.bbox.width }
+        ].filter(o => o.w + gap <= usableW && o.h + gap <= usableH)
+            .sort((a, b) => a.h - b.h);
+
+        if (orientations.length === 0) {
+            oversize.push(part.ring);
+            continue;
+        }
+
+        let spot = null;
+        for (const sheet of sheets) {
+            spot = findSpot(sheet, orientations, usableW, usableH, gap);
+            if (spot) {
+                placePart(sheet, part, spot, gap);
+                break;
+            }
+        }
+
+        if (!spot) {
+            const sheet = { shelves: [], parts: [] };
+            sheets.push(sheet);
+            spot = findSpot(sheet, orientations, usableW, usableH, gap);
+            placePart(sheet, part, spot, gap);
+        }
+    }
+
+    const usedArea = sheets.reduce((sum, sheet) => sum + sheet.parts.reduce((a, p) => a + p.area, 0), 0);
+    const stockArea = sheets.length * sheetW * sheetH;
+
+    return {
+        sheets: sheets.map(sheet => sheet.parts.sort((a, b) => (a.shape || 0) - (b.shape || 0) || a.layer - b.layer)),
+        oversize,
+        utilisation: stockArea > 0 ? usedArea / stockArea : 0
+    };
+}
+
+function findSpot(sheet, orientations, usableW, usableH, gap) {
+    // 1. Existing shelves
+    for (const shelf of sheet.shelves) {
+        for (const o of orientations) {
+            if (o.h <= shelf.h && shelf.x + o.w <= usableW) {
+                return { shelf, o };
+            }
+        }
+    }
+
+    // 2. New shelf below the last one
+    const last = sheet.shelves[sheet.shelves.length - 1];
+    const y = last ? last.y + last.h + gap : gap;
+    for (const o of orientations) {
+        if (y + o.h <= usableH) {
+            return { shelf: null, y, o };
+        }
+    }
+
+    return null;
+}
+
+function placePart(sheet, part, spot, gap) {
+    let shelf = spot.shelf;
+    if (!shelf) {
+        shelf = { x: gap, y: spot.y, h: spot.o.h };
+        sheet.shelves.push(shelf);
+    }
+
+    let placed = part.ring;
+    let box = part.bbox;
+
+    if (spot.o.rotated) {
+        const center = { x: box.minX, y: box.minY };
+        placed = mapPartPaths(placed, path => rotatePath(path, center, Math.PI / 2));
+        box = getPathBBox(placed.outer);
+    }
+
+    placed = mapPartPaths(placed, path => translatePath(path, shelf.x - box.minX, shelf.y - box.minY));
+    sheet.parts.push({ ...placed, area: part.area });
+
+    shelf.x += spot.o.w + gap;
+}
+
+/**
+ * Applies fn to every path of a ring part (outer, hole, and dowel and mark if present)
+ */
+export function mapPartPaths(part, fn) {
+    const mapped = { ...part, outer: fn(part.outer), hole: fn(part.hole) };
+    if (part.dowel) mapped.dowel = fn(part.dowel);
+    if (part.mark) mapped.mark = fn(part.mark);
+    return mapped;
+}
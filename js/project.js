@@ -0,0 +1,214 @@
+// Project Files
+//
+// A saved design is a JSON document:
+//   { format: 'organic-curve-project', version: <n>, design: { ...state keys } }
+//
+// Only the keys listed in SCHEMA are saved; editor and viewport state are not.
+// When a parameter is added, add it to SCHEMA (files without it keep the current
+// default). When a saved key changes meaning, bump PROJECT_VERSION and add a
+// migration from the previous version to MIGRATIONS.
+
+export const PROJECT_FORMAT = 'organic-curve-project';
+export const PROJECT_VERSION = 2;
+
+import { GENERATORS } from './generators.js';
+
+const HANDLE_TYPES = ['symmetric', 'smooth', 'cusp'];
+
+// Key -> expected type: 'number' | 'numbers' | 'fractions' | 'boolean' | 'color' | 'point' | 'points' | 'generator' | 'shapes' | [allowed values]
+const SCHEMA = {
+    points: 'points',
+    convergence: 'point',
+    convergencePath: 'points',
+    splineType: ['uniform', 'centripetal', 'chordal'],
+    editMode: ['spline', 'bezier'],
+    startScale: 'number',
+    endScale: 'number',
+    minSize: 'number',
+    minWall: 'number',
+    nestMode: ['scale', 'offset'],
+    startGap: 'number',
+    endGap: 'number',
+    scaleSchedule: ['linear', 'easeIn', 'easeOut', 'easeInOut', 'exponential', 'constantGap', 'custom'],
+    scheduleCurve: 'numbers',
+    scheduleGap: 'number',
+    ringCount: 'number',
+    twistStart: 'number',
+    twistEnd: 'number',
+    twistSchedule: ['linear', 'easeIn', 'easeOut', 'easeInOut', 'exponential'],
+    generator: 'generator',
+
+    thickness: 'number',
+    pivotStart: 'number',
+    dowelHoles: 'boolean',
+    dowelDiameter: 'number',
+    gradientCenter: 'number',
+
+    colorStart: 'color',
+    colorEnd: 'color',
+    colorSides: 'color',
+
+    exportMode: ['nested', 'layers', 'sheets', 'dxf'],
+    dxfCurves: ['polyline', 'spline'],
+    svgUnits: ['in', 'mm'],
+    cutColor: 'color',
+    scoreColor: 'color',
+    engraveColor: 'color',
+    labelOperation: ['score', 'engrave', 'none'],
+    pivotMarks: 'boolean',
+    modelFormat: ['stl', 'obj', 'glb'],
+    modelUnits: ['in', 'mm'],
+    kerf: 'number',
+    tabs: 'fractions',
+    tabWidth: 'number',
+    sheetWidth: 'number',
+    sheetHeight: 'number',
+    partGap: 'number',
+    cutSpeed: 'number',
+
+    // Every shape's SHAPE_KEYS; the top-level keys above mirror shapes[activeShape]
+    shapes: 'shapes',
+    activeShape: 'number'
+};
+
+export const DESIGN_KEYS = Object.keys(SCHEMA);
+
+// Design keys that belong to a single shape rather than the whole project
+export const SHAPE_KEYS = [
+    'points', 'convergence', 'convergencePath', 'editMode',
+    'startScale', 'endScale', 'minSize', 'nestMode', 'startGap', 'endGap',
+    'scaleSchedule', 'scheduleCurve', 'scheduleGap', 'ringCount',
+    'twistStart', 'twistEnd', 'twistSchedule', 'generator'
+];
+
+// version -> function upgrading a design from that version to the next
+const MIGRATIONS = {
+    // v1 turned ribs only in the 3D view (baseRotation, about each rib's pivot);
+    // v2 twists the nests themselves about the convergence point
+    1: design => {
+        const { baseRotation, ...rest } = design;
+        if (!baseRotation) return rest;
+        const twist = { twistStart: baseRotation, twistEnd: baseRotation };
+        const upgraded = { ...rest, ...twist };
+        if (Array.isArray(rest.shapes)) {
+            upgraded.shapes = rest.shapes.map(shape => ({ ...shape, ...twist }));
+        }
+        return upgraded;
+    }
+};
+
+/**
+ * Serializes the design parts of state to a project JSON string.
+ * Throws an Error with a readable message if a value doesn't match SCHEMA, rather
+ * than writing a file parseProject would reject.
+ */
+export function serializeProject(state) {
+    const design = {};
+    for (const key of DESIGN_KEYS) {
+        if (!isValid(state[key], SCHEMA[key])) {
+            throw new Error(`Project value "${key}" is invalid.`);
+        }
+        design[key] = JSON.parse(JSON.stringify(state[key]));
+    }
+    return JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION, design }, null, 2);
+}
+
+/**
+ * Parses and validates a project JSON string, migrating older versions.
+ * Returns the design object (only known, valid keys). Throws an Error with
+ * a readable message if the file can't be used.
+ */
+export function parseProject(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (e) {
+        throw new Error('File is not valid JSON.');
+    }
+
+    if (!doc || doc.format !== PROJECT_FORMAT) {
+        throw new Error('File is not an Organic Curve project.');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new Error('Project file has no valid version.');
+    }
+    if (doc.version > PROJECT_VERSION) {
+        throw new Error(`Project was saved by a newer version (v${doc.version}); this editor reads up to v${PROJECT_VERSION}.`);
+    }
+
+    let design = doc.design && typeof doc.design === 'object' ? { ...doc.design } : {};
+    for (let v = doc.version; v < PROJECT_VERSION; v++) {
+        if (MIGRATIONS[v]) design = MIGRATIONS[v](design);
+    }
+
+    const result = {};
+    for (const [key, type] of Object.entries(SCHEMA)) {
+        if (!(key in design)) continue; // Older file: keep the current default
+        if (!isValid(design[key], type)) {
+            throw new Error(`Project value "${key}" is invalid.`);
+        }
+        result[key] = design[key];
+    }
+
+    const shapes = result.shapes || [result];
+    shapes.forEach((shape, i) => {
+        const name = result.shapes ? `Shape ${i + 1}` : 'Project';
+        if (!shape.points || shape.points.length < 3) {
+            throw new Error(`${name} needs at least 3 points.`);
+        }
+        if (shape.editMode === 'bezier' && !shape.points.every(p => p.handleIn && p.handleOut && p.handleType)) {
+            throw new Error(`${name} is in handle editing mode but some points have no handles.`);
+        }
+    });
+    if (result.shapes) {
+        if (!Number.isInteger(result.activeShape) || !result.shapes[result.activeShape]) {
+            throw new Error('Project value "activeShape" is invalid.');
+        }
+        Object.assign(result, result.shapes[result.activeShape]);
+    } else {
+        delete result.activeShape;
+    }
+
+    return result;
+}
+
+function isValid(value, type) {
+    if (Array.isArray(type)) return type.includes(value);
+    switch (type) {
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'numbers': return Array.isArray(value) && value.length >= 2 && value.every(v => isValid(v, 'number'));
+        case 'fractions': return Array.isArray(value) && value.every(v => isValid(v, 'number') && v >= 0 && v < 1);
+        case 'boolean': return typeof value === 'boolean';
+        case 'color': return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+        case 'point': return isPoint(value);
+        case 'points': return Array.isArray(value) && value.every(isPoint);
+        case 'generator': return value === null || isGenerator(value);
+        case 'shapes': return Array.isArray(value) && value.length > 0 && value.every(isShape);
+        default: return false;
+    }
+}
+
+function isShape(shape) {
+    return shape !== null && typeof shape === 'object' &&
+        SHAPE_KEYS.every(key => !(key in shape) || isValid(shape[key], SCHEMA[key]));
+}
+
+// { type, params, seed, size } a shape was generated from (see generateShape)
+function isGenerator(g) {
+    return typeof g === 'object' && Object.prototype.hasOwnProperty.call(GENERATORS, g.type) &&
+        g.params !== null && typeof g.params === 'object' && Object.values(g.params).every(v => isValid(v, 'number')) &&
+        Number.isInteger(g.seed) && isValid(g.size, 'number') && g.size > 0;
+}
+
+function isPoint(p) {
+    return p !== null && typeof p === 'object' && Number.isFinite(p.x) && Number.isFinite(p.y) &&
+        (p.tension === undefined || Number.isFinite(p.tension)) &&
+        (p.corner === undefined || typeof p.corner === 'boolean') &&
+        (p.handleIn === undefined || isVector(p.handleIn)) &&
+        (p.handleOut === undefined || isVector(p.handleOut)) &&
+        (p.handleType === undefined || HANDLE_TYPES.includes(p.handleType));
+}
+
+function isVector(v) {
+    return v !== null && typeof v === 'object' && Number.isFinite(v.x) && Number.isFinite(v.y);
+}
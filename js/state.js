@@ -1,7 +1,12 @@
 
+import { DESIGN_KEYS, SHAPE_KEYS } from './project.js';
+import { getSplineHandles, SPLINE_ALPHA } from './math.js';
+
 // State Management
 export const state = {
-    // Array of points {x, y} in inches
+    // Array of points {x, y} in inches, optionally with tension (0-1) and corner (bool).
+    // In 'bezier' edit mode each point also has handleIn / handleOut offsets and a
+    // handleType: 'symmetric' | 'smooth' | 'cusp'
     points: [
         { x: 2, y: 5 },
         { x: 5, y: 2 },
@@ -11,18 +16,39 @@ export const state = {
 
     // Convergence Point
     convergence: { x: 5, y: 5 },
+    // Further convergence points the scaling target drifts through, outer to inner
+    convergencePath: [],
+
+    // Spline parameterisation: 'uniform' | 'centripetal' | 'chordal'
+    splineType: 'uniform',
+
+    // 'spline' (Catmull-Rom through the points) | 'bezier' (direct handle editing)
+    editMode: 'spline',
 
     // Parameters
     startScale: 0.92,
     endScale: 0.74,
     minSize: 1.0, // inches
-
+    minWall: 0.1, // narrowest safe ring width in inches
+    nestMode: 'scale', // 'scale' (toward convergence) | 'offset' (constant width)
+    startGap: 0.5,     // ring width in inches for 'offset' mode (outer)
+    endGap: 0.3,       // (inner)
+    scaleSchedule: 'linear', // how scale / width moves from start to end, see SCALE_SCHEDULES
+    scheduleCurve: [0, 0.25, 0.5, 0.75, 1], // 'custom' schedule: progress at evenly spaced steps inward
+    scheduleGap: 0.4,  // 'constantGap' schedule: ring spacing in inches
+    ringCount: 0,      // target number of rings, solved by adjusting the scales (0 = off)
+    twistStart: 0,     // degrees each nest turns about the convergence point (outer)
+    twistEnd: 0,       // (inner)
+    twistSchedule: 'linear',
+    // { type, params, seed, size } the points were generated from (see generateShape), or null
+    generator: null,
 
     // 3D parameters
     viewMode: '2d', // '2d' | '3d'
     thickness: 0.11, // material thickness in inches
-    baseRotation: 0, // base rotation angle in degrees
     pivotStart: 0,   // pivot position along curve (0.0 to 1.0)
+    dowelHoles: false,   // punch an alignment hole at each rib's pivot
+    dowelDiameter: 0.25, // inches
     gradientCenter: 0.5, // position of gradient center (0.0 = left, 1.0 = right)
 
     // Colors
@@ -30,10 +56,35 @@ export const state = {
     colorEnd: '#ff4488',   // Default Pink/Red
     colorSides: '#3d2817', // Default Dark Brown for extrusion sides
 
+    // Export
+    exportMode: 'nested', // 'nested' | 'layers' | 'sheets' | 'dxf'
+    dxfCurves: 'polyline', // DXF entities: 'polyline' | 'spline'
+    svgUnits: 'in',  // SVG document units: 'in' | 'mm'
+    cutColor: '#ff0000',     // Laser operation layer colours (LightBurn / RDWorks palette)
+    scoreColor: '#0000ff',
+    engraveColor: '#000000',
+    labelOperation: 'score', // Layer numbers on parts: 'score' | 'engrave' | 'none'
+    pivotMarks: false, // Score an alignment cross at each rib's pivot (when not drilled)
+    modelFormat: 'stl', // 3D model export: 'stl' | 'obj' | 'glb'
+    modelUnits: 'in',   // 'in' | 'mm'
+    kerf: 0,         // laser beam width in inches, compensated on export
+    tabs: [],        // Tab centres as normalized distances along each cut contour
+    tabWidth: 0.05,  // inches
+    sheetWidth: 12,  // stock sheet size in inches
+    sheetHeight: 20,
+    partGap: 0.125,  // gap between packed parts in inches
+    cutSpeed: 1,     // laser cutting speed in inches per second, for time estimates
+
+    // Shapes: every independent motif in the design. The active shape's values
+    // live in the top-level SHAPE_KEYS above so the editor works on it directly;
+    // notify() copies them back into shapes[activeShape].
+    shapes: [],
+    activeShape: 0,
+
     // Editor State
     selectedPointIndex: -1,
     isDragging: false,
-    dragTarget: null, // 'point' | 'convergence'
+    dragTarget: null, // 'point' | 'convergence' | 'convergencePath' | 'handleIn' | 'handleOut'
     dragIndex: -1,
 
     // Viewport
@@ -44,6 +95,62 @@ export const state = {
     pan: { x: 0, y: 0 }
 };
 
+function pickShape(s) {
+    const shape = {};
+    SHAPE_KEYS.forEach(key => { shape[key] = s[key]; });
+    return shape;
+}
+
+state.shapes = [pickShape(state)];
+
+// Undo / Redo History
+//
+// Each design action calls recordHistory before mutating state, which pushes a
+// snapshot of the design keys (see project.js). Actions that pass a key are
+// continuous (drags, slider scrubs): repeated calls with the same key are folded
+// into one entry until endHistoryGroup() marks the end of the gesture.
+const HISTORY_LIMIT = 200;
+const undoStack = [];
+const redoStack = [];
+let lastHistoryKey = null;
+
+function snapshotDesign() {
+    const snapshot = {};
+    DESIGN_KEYS.forEach(key => { snapshot[key] = state[key]; });
+    return JSON.parse(JSON.stringify(snapshot));
+}
+
+function recordHistory(key) {
+    if (key !== null && key === lastHistoryKey) return;
+    undoStack.push(snapshotDesign());
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack.length = 0;
+    lastHistoryKey = key;
+}
+
+export function endHistoryGroup() {
+    lastHistoryKey = null;
+}
+
+export function undo() {
+    if (undoStack.length === 0) return;
+    redoStack.push(snapshotDesign());
+    restoreDesign(undoStack.pop());
+}
+
+export function redo() {
+    if (redoStack.length === 0) return;
+    undoStack.push(snapshotDesign());
+    restoreDesign(redoStack.pop());
+}
+
+function restoreDesign(snapshot) {
+    Object.assign(state, snapshot);
+    if (state.selectedPointIndex >= state.points.length) state.selectedPointIndex = -1;
+    lastHistoryKey = null;
+    notify();
+}
+
 // Simple Event Bus for updates
 const listeners = [];
 
@@ -52,9 +159,77 @@ export function subscribe(callback) {
 }
 
 export function notify() {
+    state.shapes[state.activeShape] = pickShape(state);
     listeners.forEach(cb => cb(state));
 }
 
+/**
+ * Replaces the design with a loaded project (see project.js); keys not in
+ * the design keep their current values
+ */
+export function loadDesign(design) {
+    recordHistory(null);
+    // Files from before handle editing are splines, and from before generators weren't generated
+    const defaults = { editMode: 'spline', generator: null };
+    Object.assign(state, defaults, design);
+    if (design.shapes) {
+        state.shapes = design.shapes.map(shape => ({ ...defaults, ...shape }));
+    } else {
+        // Single-shape file
+        state.shapes = [];
+        state.activeShape = 0;
+    }
+    state.selectedPointIndex = -1;
+    notify();
+}
+
+/**
+ * Makes another shape the one being edited
+ */
+export function selectShape(index) {
+    if (index === state.activeShape || !state.shapes[index]) return;
+    Object.assign(state, state.shapes[index]);
+    state.activeShape = index;
+    state.selectedPointIndex = -1;
+    notify();
+}
+
+/**
+ * Adds a new diamond shape of the given radius around center (inches),
+ * keeping the active shape's nesting parameters, and selects it
+ */
+export function addShape(center, radius = 2) {
+    recordHistory(null);
+    const { x, y } = center;
+    state.shapes.push({
+        ...pickShape(state),
+        points: [
+            { x: x - radius, y },
+            { x, y: y - radius },
+            { x: x + radius, y },
+            { x, y: y + radius }
+        ],
+        convergence: { x, y },
+        convergencePath: [],
+        editMode: 'spline',
+        generator: null
+    });
+    Object.assign(state, state.shapes[state.shapes.length - 1]);
+    state.activeShape = state.shapes.length - 1;
+    state.selectedPointIndex = -1;
+    notify();
+}
+
+export function deleteShape(index) {
+    if (state.shapes.length < 2 || !state.shapes[index]) return;
+    recordHistory(null);
+    state.shapes.splice(index, 1);
+    state.activeShape = Math.min(index, state.shapes.length - 1);
+    Object.assign(state, state.shapes[state.activeShape]);
+    state.selectedPointIndex = -1;
+    notify();
+}
+
 export function setViewport(viewport) {
     state.viewport = viewport;
     notify();
@@ -62,6 +237,7 @@ export function setViewport(viewport) {
 
 // Actions
 export function addPoint(x, y) {
+    recordHistory(null);
     // Insert point at nearest segment (simplified to end for now, or sophisticated later)
     // For closed loops, inserting between nearest spatial neighbors is best.
 
@@ -83,24 +259,179 @@ export function addPoint(x, y) {
             }
         }
         state.points.splice(insertIdx, 0, { x, y });
+
+        // A point added while editing handles starts smooth, shaped like the spline
+        if (state.editMode === 'bezier') {
+            const handles = getSplineHandles(state.points, { alpha: SPLINE_ALPHA[state.splineType] });
+            state.points[insertIdx] = { x, y, ...handles[insertIdx], handleType: 'smooth' };
+        }
     }
     notify();
 }
 
 export function updatePoint(index, x, y) {
     if (index >= 0 && index < state.points.length) {
-        state.points[index] = { x, y };
+        recordHistory(`point:${index}`);
+        state.points[index] = { ...state.points[index], x, y };
         notify();
     }
 }
 
+/**
+ * Replaces the whole base curve (e.g. from an imported outline). generator holds
+ * the generateShape settings when the points were generated.
+ */
+export function replaceShape(points, convergence, generator = null) {
+    recordHistory(null);
+    state.points = points;
+    state.convergence = convergence;
+    state.generator = generator;
+    state.convergencePath = [];
+    state.editMode = 'spline';
+    state.selectedPointIndex = -1;
+    notify();
+}
+
+/**
+ * Takes a variation (see variations.js) as the active shape's points, convergence and scales
+ */
+export function promoteVariation(variation) {
+    recordHistory(null);
+    const { seed, ...keys } = variation;
+    Object.assign(state, keys);
+    state.generator = null; // The points no longer come from the generator settings
+    state.selectedPointIndex = -1;
+    notify();
+}
+
+export function setPointTension(index, val) {
+    if (index >= 0 && index < state.points.length) {
+        recordHistory(`tension:${index}`);
+        state.points[index] = { ...state.points[index], tension: val };
+        notify();
+    }
+}
+
+export function setPointCorner(index, corner) {
+    if (index >= 0 && index < state.points.length) {
+        recordHistory(null);
+        state.points[index] = { ...state.points[index], corner };
+        notify();
+    }
+}
+
+/**
+ * Switches between spline and direct handle editing. Entering 'bezier' mode
+ * freezes the current spline into explicit handles (corner points become
+ * cusps); leaving it drops the handles and the spline takes over again.
+ */
+export function setEditMode(mode) {
+    if (mode === state.editMode) return;
+    recordHistory(null);
+    if (mode === 'bezier') {
+        const handles = getSplineHandles(state.points, { alpha: SPLINE_ALPHA[state.splineType] });
+        state.points = state.points.map((p, i) => ({
+            ...p,
+            ...handles[i],
+            handleType: p.corner ? 'cusp' : 'smooth'
+        }));
+    } else {
+        state.points = state.points.map(({ handleIn, handleOut, handleType, ...p }) => p);
+    }
+    state.editMode = mode;
+    notify();
+}
+
+/**
+ * Moves one handle of a point to (x, y); the opposite handle follows
+ * according to the point's handleType
+ */
+export function updateHandle(index, which, x, y) {
+    const pt = state.points[index];
+    if (!pt || !pt.handleIn) return;
+    recordHistory(`${which}:${index}`);
+    const moved = { x: x - pt.x, y: y - pt.y };
+    const other = which === 'handleIn' ? 'handleOut' : 'handleIn';
+    state.points[index] = {
+        ...pt,
+        [which]: moved,
+        [other]: constrainHandle(moved, pt[other], pt.handleType)
+    };
+    notify();
+}
+
+export function setHandleType(index, type) {
+    const pt = state.points[index];
+    if (!pt || !pt.handleIn) return;
+    recordHistory(null);
+    state.points[index] = {
+        ...pt,
+        handleType: type,
+        handleIn: constrainHandle(pt.handleOut, pt.handleIn, type)
+    };
+    notify();
+}
+
+// Opposite handle for a moved one: mirrored (symmetric), collinear keeping its
+// own length (smooth) or left alone (cusp)
+function constrainHandle(moved, other, type) {
+    if (type === 'symmetric') return { x: -moved.x, y: -moved.y };
+    if (type === 'smooth') {
+        const len = Math.hypot(moved.x, moved.y);
+        if (len === 0) return other;
+        const otherLen = Math.hypot(other.x, other.y);
+        return { x: -moved.x / len * otherLen, y: -moved.y / len * otherLen };
+    }
+    return other;
+}
+
+export function setSplineType(type) {
+    recordHistory(null);
+    state.splineType = type;
+    notify();
+}
+
 export function setConvergence(x, y) {
+    recordHistory('convergence');
     state.convergence = { x, y };
     notify();
 }
 
+/**
+ * Appends a point to the convergence path (the end the innermost nest drifts to)
+ */
+export function addConvergencePoint(x, y) {
+    recordHistory(null);
+    state.convergencePath = [...state.convergencePath, { x, y }];
+    notify();
+}
+
+export function updateConvergencePoint(index, x, y) {
+    if (index >= 0 && index < state.convergencePath.length) {
+        recordHistory(`convergencePath:${index}`);
+        state.convergencePath = state.convergencePath.map((p, i) => i === index ? { x, y } : p);
+        notify();
+    }
+}
+
+export function deleteConvergencePoint(index) {
+    if (index >= 0 && index < state.convergencePath.length) {
+        recordHistory(null);
+        state.convergencePath = state.convergencePath.filter((p, i) => i !== index);
+        notify();
+    }
+}
+
+export function clearConvergencePath() {
+    if (state.convergencePath.length === 0) return;
+    recordHistory(null);
+    state.convergencePath = [];
+    notify();
+}
+
 export function deletePoint(index) {
     if (state.points.length > 3) {
+        recordHistory(null);
         state.points.splice(index, 1);
         state.selectedPointIndex = -1;
         notify();
@@ -108,20 +439,73 @@ export function deletePoint(index) {
 }
 
 export function setStartScale(val) {
+    recordHistory('startScale');
     state.startScale = val;
     notify();
 }
 
 export function setEndScale(val) {
+    recordHistory('endScale');
     state.endScale = val;
     notify();
 }
 
 export function setMinSize(val) {
+    recordHistory('minSize');
     state.minSize = val;
     notify();
 }
 
+export function setScaleSchedule(schedule) {
+    recordHistory(null);
+    state.scaleSchedule = schedule;
+    notify();
+}
+
+export function setScheduleCurveValue(index, val) {
+    if (index >= 0 && index < state.scheduleCurve.length) {
+        recordHistory(`scheduleCurve:${index}`);
+        state.scheduleCurve = state.scheduleCurve.map((v, i) => i === index ? val : v);
+        notify();
+    }
+}
+
+export function setScheduleGap(val) {
+    recordHistory('scheduleGap');
+    state.scheduleGap = val;
+    notify();
+}
+
+export function setRingCount(val) {
+    recordHistory(null);
+    state.ringCount = val;
+    notify();
+}
+
+export function setMinWall(val) {
+    recordHistory('minWall');
+    state.minWall = val;
+    notify();
+}
+
+export function setNestMode(mode) {
+    recordHistory(null);
+    state.nestMode = mode;
+    notify();
+}
+
+export function setStartGap(val) {
+    recordHistory('startGap');
+    state.startGap = val;
+    notify();
+}
+
+export function setEndGap(val) {
+    recordHistory('endGap');
+    state.endGap = val;
+    notify();
+}
+
 
 
 export function setViewMode(mode) {
@@ -130,43 +514,171 @@ export function setViewMode(mode) {
 }
 
 export function setThickness(val) {
+    recordHistory('thickness');
     state.thickness = val;
     notify();
 }
 
 
 
-export function setBaseRotation(val) {
-    state.baseRotation = val;
+export function setTwistStart(val) {
+    recordHistory('twistStart');
+    state.twistStart = val;
+    notify();
+}
+
+export function setTwistEnd(val) {
+    recordHistory('twistEnd');
+    state.twistEnd = val;
+    notify();
+}
+
+export function setTwistSchedule(schedule) {
+    recordHistory(null);
+    state.twistSchedule = schedule;
     notify();
 }
 
 export function setPivotStart(val) {
+    recordHistory('pivotStart');
     state.pivotStart = val;
     notify();
 }
 
 
+export function setDowelHoles(enabled) {
+    recordHistory(null);
+    state.dowelHoles = enabled;
+    notify();
+}
+
+export function setDowelDiameter(val) {
+    recordHistory('dowelDiameter');
+    state.dowelDiameter = val;
+    notify();
+}
+
 export function setGradientCenter(val) {
+    recordHistory('gradientCenter');
     state.gradientCenter = val;
     notify();
 }
 
 export function setColorStart(val) {
+    recordHistory('colorStart');
     state.colorStart = val;
     notify();
 }
 
 export function setColorEnd(val) {
+    recordHistory('colorEnd');
     state.colorEnd = val;
     notify();
 }
 
 export function setColorSides(val) {
+    recordHistory('colorSides');
     state.colorSides = val;
     notify();
 }
 
+export function setExportMode(mode) {
+    recordHistory(null);
+    state.exportMode = mode;
+    notify();
+}
+
+export function setKerf(val) {
+    recordHistory('kerf');
+    state.kerf = val;
+    notify();
+}
+
+export function setSheetSize(w, h) {
+    recordHistory('sheetWidth');
+    state.sheetWidth = w;
+    state.sheetHeight = h;
+    notify();
+}
+
+export function setDxfCurves(type) {
+    recordHistory(null);
+    state.dxfCurves = type;
+    notify();
+}
+
+// Spreads count tabs evenly along the contours, keeping the first one where it is
+export function setTabCount(count) {
+    recordHistory(null);
+    const first = state.tabs.length > 0 ? state.tabs[0] : 0;
+    state.tabs = Array.from({ length: count }, (_, i) => (first + i / count) % 1);
+    notify();
+}
+
+export function moveTab(index, position) {
+    if (index >= 0 && index < state.tabs.length) {
+        recordHistory(`tab:${index}`);
+        state.tabs[index] = ((position % 1) + 1) % 1;
+        notify();
+    }
+}
+
+export function setTabWidth(val) {
+    recordHistory('tabWidth');
+    state.tabWidth = val;
+    notify();
+}
+
+export function setSvgUnits(units) {
+    recordHistory(null);
+    state.svgUnits = units;
+    notify();
+}
+
+// operation: 'cut' | 'score' | 'engrave'
+export function setLaserColor(operation, color) {
+    const key = `${operation}Color`;
+    recordHistory(key);
+    state[key] = color;
+    notify();
+}
+
+export function setLabelOperation(operation) {
+    recordHistory(null);
+    state.labelOperation = operation;
+    notify();
+}
+
+export function setPivotMarks(enabled) {
+    recordHistory(null);
+    state.pivotMarks = enabled;
+    notify();
+}
+
+export function setModelFormat(format) {
+    recordHistory(null);
+    state.modelFormat = format;
+    notify();
+}
+
+export function setModelUnits(units) {
+    recordHistory(null);
+    state.modelUnits = units;
+    notify();
+}
+
+export function setCutSpeed(val) {
+    recordHistory(null);
+    state.cutSpeed = val;
+    notify();
+}
+
+export function setPartGap(val) {
+    recordHistory('partGap');
+    state.partGap = val;
+    notify();
+}
+
 // Helper
 function distToSegment(p, v, w) {
     const l2 = (v.x - w.x) ** 2 + (v.y - w.y) ** 2;
@@ -0,0 +1,455 @@
+import { getCatmullRomBezierPath, getBezierPt } from './math.js';
+
+// SVG Import
+//
+// Reads the closed shapes out of an SVG file as polylines in inches, then fits
+// Catmull-Rom control points to one of them so getCatmullRomBezierPath
+// reproduces the outline within a tolerance.
+
+const CSS_PX_PER_IN = 96;
+const UNIT_TO_IN = { in: 1, mm: 1 / 25.4, cm: 1 / 2.54, pt: 1 / 72, pc: 1 / 6, px: 1 / CSS_PX_PER_IN, '': 1 / CSS_PX_PER_IN };
+const CURVE_STEPS = 16;
+
+/**
+ * Finds every closed shape in an SVG document (browser only, uses DOMParser).
+ * Returns [{ label, points: [{x, y}] }] with points in inches.
+ */
+export function extractClosedShapes(svgText) {
+    const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+    const root = doc.documentElement;
+    if (!root || root.nodeName !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('File is not a valid SVG.');
+    }
+
+    const unitScale = getUnitScale(root);
+    const shapes = [];
+    const elements = root.querySelectorAll('path, polygon, rect, circle, ellipse');
+
+    elements.forEach((el, i) => {
+        const d = elementToPathData(el);
+        if (!d) return;
+
+        // Compose transforms from the root down to the element
+        let matrix = [unitScale.x, 0, 0, unitScale.y, 0, 0];
+        const chain = [];
+        for (let node = el; node && node !== root; node = node.parentNode) chain.unshift(node);
+        chain.forEach(node => {
+            if (node.getAttribute) matrix = multiply(matrix, parseTransform(node.getAttribute('transform') || ''));
+        });
+
+        parsePathData(d).forEach((sub, j) => {
+            if (!sub.closed || sub.points.length < 3) return;
+            const name = el.getAttribute('id') || `${el.nodeName} ${i + 1}`;
+            shapes.push({
+                label: j === 0 ? name : `${name} (part ${j + 1})`,
+                points: dedupe(sub.points.map(p => applyMatrix(matrix, p)))
+            });
+        });
+    });
+
+    return shapes;
+}
+
+/**
+ * Fits Catmull-Rom control points to a closed outline.
+ * Starts from a few points spread evenly along the outline and keeps adding
+ * one in the middle of any span that strays more than tolerance (inches)
+ * from the outline. Near maxPoints the worst spans are split first.
+ * Returns { points, error }: error is the largest distance left between the fit
+ * and the outline, above tolerance when maxPoints was reached first.
+ */
+export function fitCatmullRomPoints(outline, tolerance = 0.01, maxPoints = 120, alpha = 0) {
+    const contour = resample(outline, Math.max(400, maxPoints * 8));
+    const n = contour.length;
+
+    // Indices into contour of the current control points
+    let indices = [0, 1, 2, 3, 4, 5, 6, 7].map(i => Math.floor(i * n / 8));
+    let error = 0;
+
+    for (;;) {
+        const points = indices.map(i => contour[i]);
+        const segs = getCatmullRomBezierPath(points, { alpha });
+
+        const bad = [];
+        error = 0;
+        segs.forEach((seg, k) => {
+            const from = indices[k];
+            const to = k + 1 < indices.length ? indices[k + 1] : indices[0] + n;
+            if (to - from < 2) return;
+            const spanErr = spanError(seg, contour, from, to);
+            error = Math.max(error, spanErr);
+            if (spanErr > tolerance) bad.push({ error: spanErr, mid: Math.floor((from + to) / 2) % n });
+        });
+
+        const room = maxPoints - indices.length;
+        if (bad.length === 0 || room <= 0) break;
+
+        // Split the worst spans at their middles, as many as maxPoints leaves room for
+        const added = bad.sort((a, b) => b.error - a.error).slice(0, room).map(span => span.mid);
+        indices = [...new Set(indices.concat(added))].sort((a, b) => a - b);
+    }
+
+    return { points: indices.map(i => ({ x: contour[i].x, y: contour[i].y })), error };
+}
+
+/**
+ * Turns an extracted outline into editor geometry: moved so its top-left corner
+ * sits at (margin, margin), fitted to control points, with the convergence point
+ * at the outline's centroid. alpha is the spline parameterisation to fit for.
+ * Returns { points, convergence, width, height, error } (error as from fitCatmullRomPoints).
+ */
+export function prepareImportedShape(outline, tolerance = 0.01, alpha = 0, margin = 1) {
+    const minX = Math.min(...outline.map(p => p.x));
+    const minY = Math.min(...outline.map(p => p.y));
+    const moved = outline.map(p => ({ x: p.x - minX + margin, y: p.y - minY + margin }));
+
+    // Polygon centroid (shoelace)
+    let area = 0, cx = 0, cy = 0;
+    moved.forEach((p, i) => {
+        const q = moved[(i + 1) % moved.length];
+        const cross = p.x * q.y - q.x * p.y;
+        area += cross;
+        cx += (p.x + q.x) * cross;
+        cy += (p.y + q.y) * cross;
+    });
+    area /= 2;
+    const convergence = Math.abs(area) > 1e-12
+        ? { x: cx / (6 * area), y: cy / (6 * area) }
+        : { x: moved[0].x, y: moved[0].y };
+
+    const fit = fitCatmullRomPoints(moved, tolerance, 120, alpha);
+    return {
+        points: fit.points,
+        error: fit.error,
+        convergence,
+        width: Math.max(...moved.map(p => p.x)) - margin,
+        height: Math.max(...moved.map(p => p.y)) - margin
+    };
+}
+
+// Largest distance from the outline samples in [from, to) to the fitted segment
+function spanError(seg, contour, from, to) {
+    const curve = [];
+    for (let i = 0; i <= 32; i++) curve.push(getBezierPt(seg.p1, seg.c1, seg.c2, seg.p2, i / 32));
+
+    let worst = 0;
+    for (let i = from; i < to; i++) {
+        const p = contour[i % contour.length];
+        let best = Infinity;
+        for (let j = 0; j < curve.length - 1; j++) {
+            best = Math.min(best, distToSegment(p, curve[j], curve[j + 1]));
+        }
+        worst = Math.max(worst, best);
+    }
+    return worst;
+}
+
+// Evenly spaced points along a closed polyline
+function resample(points, count) {
+    const lengths = [0];
+    for (let i = 1; i <= points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i % points.length];
+        lengths.push(lengths[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+    }
+    const total = lengths[lengths.length - 1];
+
+    const out = [];
+    let j = 0;
+    for (let k = 0; k < count; k++) {
+        const target = (k / count) * total;
+        while (lengths[j + 1] < target) j++;
+        const a = points[j];
+        const b = points[(j + 1) % points.length];
+        const span = lengths[j + 1] - lengths[j];
+        const f = span > 0 ? (target - lengths[j]) / span : 0;
+        out.push({ x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f });
+    }
+    return out;
+}
+
+function dedupe(points) {
+    return points.filter((p, i) => {
+        const prev = points[(i - 1 + points.length) % points.length];
+        return Math.hypot(p.x - prev.x, p.y - prev.y) > 1e-9;
+    });
+}
+
+function distToSegment(p, v, w) {
+    const l2 = (v.x - w.x) ** 2 + (v.y - w.y) ** 2;
+    if (l2 === 0) return Math.hypot(p.x - v.x, p.y - v.y);
+    let t = ((p.x - v.x) * (w.x - v.x) + (p.y - v.y) * (w.y - v.y)) / l2;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(p.x - (v.x + t * (w.x - v.x)), p.y - (v.y + t * (w.y - v.y)));
+}
+
+// --- Units & Transforms ---
+
+// Inches per user unit, from the root width/height and viewBox
+function getUnitScale(root) {
+    const parseLength = value => {
+        const m = /^\s*([\d.eE+-]+)\s*(in|mm|cm|pt|pc|px)?\s*$/.exec(value || '');
+        return m ? parseFloat(m[1]) * UNIT_TO_IN[m[2] || ''] : null;
+    };
+
+    const viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+    const width = parseLength(root.getAttribute('width'));
+    const height = parseLength(root.getAttribute('height'));
+
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0 && width && height) {
+        return { x: width / viewBox[2], y: height / viewBox[3] };
+    }
+    return { x: 1 / CSS_PX_PER_IN, y: 1 / CSS_PX_PER_IN };
+}
+
+// Affine matrices as [a, b, c, d, e, f] (SVG order)
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+function applyMatrix(m, p) {
+    return { x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] };
+}
+
+export function parseTransform(text) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let m;
+    while ((m = re.exec(text))) {
+        const v = m[2].trim().split(/[\s,]+/).map(parseFloat);
+        let t;
+        switch (m[1]) {
+            case 'matrix': t = v; break;
+            case 'translate': t = [1, 0, 0, 1, v[0], v[1] || 0]; break;
+            case 'scale': t = [v[0], 0, 0, v.length > 1 ? v[1] : v[0], 0, 0]; break;
+            case 'rotate': {
+                const a = v[0] * Math.PI / 180;
+                const cx = v[1] || 0;
+                const cy = v[2] || 0;
+                t = multiply(multiply([1, 0, 0, 1, cx, cy], [Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0]), [1, 0, 0, 1, -cx, -cy]);
+                break;
+            }
+            case 'skewX': t = [1, 0, Math.tan(v[0] * Math.PI / 180), 1, 0, 0]; break;
+            case 'skewY': t = [1, Math.tan(v[0] * Math.PI / 180), 0, 1, 0, 0]; break;
+        }
+        matrix = multiply(matrix, t);
+    }
+    return matrix;
+}
+
+// --- Path Data ---
+
+function elementToPathData(el) {
+    const num = name => parseFloat(el.getAttribute(name)) || 0;
+    switch (el.nodeName) {
+        case 'path':
+            return el.getAttribute('d');
+        case 'polygon':
+            return `M ${el.getAttribute('points')} Z`;
+        case 'rect': {
+            const x = num('x'), y = num('y'), w = num('width'), h = num('height');
+            return w > 0 && h > 0 ? `M ${x} ${y} H ${x + w} V ${y + h} H ${x} Z` : null;
+        }
+        case 'circle':
+        case 'ellipse': {
+            const cx = num('cx'), cy = num('cy');
+            const rx = el.nodeName === 'circle' ? num('r') : num('rx');
+            const ry = el.nodeName === 'circle' ? num('r') : num('ry');
+            if (rx <= 0 || ry <= 0) return null;
+            return `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Flattens SVG path data into subpaths: [{ points: [{x, y}], closed }]
+ * Supports every path command (absolute and relative).
+ */
+export function parsePathData(d) {
+    const tokens = (d || '').match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+    const subpaths = [];
+    let current = null;
+    let pos = { x: 0, y: 0 };
+    let start = { x: 0, y: 0 };
+    let lastCtrl = null; // Reflected control point for S / T
+    let lastCmd = '';
+    let i = 0;
+
+    const next = () => parseFloat(tokens[i++]);
+    // Arc flags are single 0/1 characters and minifiers run them into what follows
+    // ("a1 1 0 011 1"), so a flag takes one character and leaves the rest of the token
+    const nextFlag = () => {
+        const token = tokens[i];
+        if (token.length > 1 && /^[01]/.test(token)) {
+            tokens[i] = token.slice(1);
+            return parseFloat(token[0]);
+        }
+        return next();
+    };
+    const hasNumber = () => i < tokens.length && !/[a-zA-Z]/.test(tokens[i]);
+    const lineTo = p => {
+        current.points.push(p);
+        pos = p;
+    };
+
+    while (i < tokens.length) {
+        let cmd = tokens[i];
+        if (/[a-zA-Z]/.test(cmd)) {
+            i++;
+        } else {
+            // Implicit repeat; a repeated moveto becomes lineto
+            cmd = lastCmd === 'M' ? 'L' : lastCmd === 'm' ? 'l' : lastCmd;
+        }
+        if (!current && cmd.toUpperCase() !== 'M') break; // Path must start with moveto
+
+        const rel = cmd === cmd.toLowerCase();
+        const base = () => (rel ? pos : { x: 0, y: 0 });
+        const read = () => {
+            const b = base();
+            return { x: next() + b.x, y: next() + b.y };
+        };
+
+        switch (cmd.toUpperCase()) {
+            case 'M': {
+                const p = read();
+                current = { points: [p], closed: false };
+                subpaths.push(current);
+                pos = start = p;
+                lastCtrl = null;
+                break;
+            }
+            case 'L':
+                lineTo(read());
+                lastCtrl = null;
+                break;
+            case 'H':
+                lineTo({ x: next() + (rel ? pos.x : 0), y: pos.y });
+                lastCtrl = null;
+                break;
+            case 'V':
+                lineTo({ x: pos.x, y: next() + (rel ? pos.y : 0) });
+                lastCtrl = null;
+                break;
+            case 'C':
+            case 'S': {
+                const c1 = cmd.toUpperCase() === 'S'
+                    ? (lastCtrl && 'CS'.includes(lastCmd.toUpperCase()) ? { x: 2 * pos.x - lastCtrl.x, y: 2 * pos.y - lastCtrl.y } : pos)
+                    : read();
+                const c2 = read();
+                const p2 = read();
+                const p1 = pos;
+                for (let k = 1; k <= CURVE_STEPS; k++) lineTo(getBezierPt(p1, c1, c2, p2, k / CURVE_STEPS));
+                pos = p2;
+                lastCtrl = c2;
+                break;
+            }
+            case 'Q':
+            case 'T': {
+                const q = cmd.toUpperCase() === 'T'
+                    ? (lastCtrl && 'QT'.includes(lastCmd.toUpperCase()) ? { x: 2 * pos.x - lastCtrl.x, y: 2 * pos.y - lastCtrl.y } : pos)
+                    : read();
+                const p2 = read();
+                const p1 = pos;
+                // Quadratic as cubic
+                const c1 = { x: p1.x + (q.x - p1.x) * 2 / 3, y: p1.y + (q.y - p1.y) * 2 / 3 };
+                const c2 = { x: p2.x + (q.x - p2.x) * 2 / 3, y: p2.y + (q.y - p2.y) * 2 / 3 };
+                for (let k = 1; k <= CURVE_STEPS; k++) lineTo(getBezierPt(p1, c1, c2, p2, k / CURVE_STEPS));
+                pos = p2;
+                lastCtrl = q;
+                break;
+            }
+            case 'A': {
+                const rx = next(), ry = next(), rot = next(), large = nextFlag(), sweep = nextFlag();
+                const p2 = read();
+                arcPoints(pos, p2, rx, ry, rot, large, sweep).forEach(lineTo);
+                pos = p2;
+                lastCtrl = null;
+                break;
+            }
+            case 'Z':
+                if (current) {
+                    current.closed = true;
+                    pos = start;
+                    // Drop a repeated start point
+                    const last = current.points[current.points.length - 1];
+                    if (current.points.length > 1 && Math.hypot(last.x - start.x, last.y - start.y) < 1e-9) current.points.pop();
+                }
+                lastCtrl = null;
+                break;
+            default:
+                // Unknown command: skip its numbers
+                while (hasNumber()) i++;
+        }
+
+        lastCmd = cmd;
+    }
+
+    // Open subpaths that end where they start are closed too
+    subpaths.forEach(sub => {
+        const a = sub.points[0];
+        const b = sub.points[sub.points.length - 1];
+        if (!sub.closed && sub.points.length > 3 && Math.hypot(a.x - b.x, a.y - b.y) < 1e-6) {
+            sub.closed = true;
+            sub.points.pop();
+        }
+    });
+
+    return subpaths;
+}
+
+// Endpoint arc parameterization to sampled points (SVG spec F.6.5)
+function arcPoints(p1, p2, rx, ry, rotDeg, large, sweep) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return [p2];
+
+    const phi = rotDeg * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (p1.x - p2.x) / 2;
+    const dy = (p1.y - p2.y) / 2;
+    const x1 = cos * dx + sin * dy;
+    const y1 = -sin * dx + cos * dy;
+
+    // Scale radii up if they can't span the endpoints
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    let coef = Math.sqrt(Math.max(0, num / den));
+    if (Number(large) === Number(sweep)) coef = -coef;
+    const cx1 = coef * (rx * y1 / ry);
+    const cy1 = coef * -(ry * x1 / rx);
+
+    const cx = cos * cx1 - sin * cy1 + (p1.x + p2.x) / 2;
+    const cy = sin * cx1 + cos * cy1 + (p1.y + p2.y) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta1 = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+    if (!Number(sweep) && delta > 0) delta -= Math.PI * 2;
+    if (Number(sweep) && delta < 0) delta += Math.PI * 2;
+
+    const steps = Math.max(4, Math.ceil(Math.abs(delta) / (Math.PI / 16)));
+    const pts = [];
+    for (let k = 1; k <= steps; k++) {
+        const t = theta1 + delta * k / steps;
+        const ex = rx * Math.cos(t);
+        const ey = ry * Math.sin(t);
+        pts.push(k === steps ? { ...p2 } : { x: cos * ex - sin * ey + cx, y: sin * ex + cos * ey + cy });
+    }
+    return pts;
+}
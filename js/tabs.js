@@ -0,0 +1,61 @@
+import { getArcLengthTable } from './math.js';
+import { splitSegment } from './offset.js';
+
+// Tabs
+//
+// Tabs are short stretches of a contour left uncut so the part stays attached to
+// the sheet. Like the pivot, a tab's position is a normalized distance along the
+// contour (0 at its first point), so the same tabs fall in matching places on every
+// nest and on every copy of a part however it is moved or turned.
+
+/**
+ * Breaks a closed path into the open pieces between its tabs.
+ * @param {Array} path - closed path
+ * @param {Array} positions - tab centres as normalized distances along the path
+ * @param {number} width - tab width in inches, measured along the path
+ * @returns {Array|null} open paths in path order, the first starting after the first tab;
+ *   null when there are no tabs or they don't fit (see tabsFit), and the path is cut whole
+ */
+export function breakForTabs(path, positions, width) {
+    if (positions.length === 0 || !tabsFit(path, positions.length, width)) return null;
+    const table = getArcLengthTable(path);
+    const half = width / 2 / table.totalLength;
+
+    const centres = positions.map(s => ((s % 1) + 1) % 1).sort((a, b) => a - b);
+    const pieces = [];
+    centres.forEach((centre, i) => {
+        const next = i + 1 < centres.length ? centres[i + 1] : centres[0] + 1;
+        const from = centre + half;
+        const to = next - half;
+        if (to - from > 1e-9) pieces.push(subPath(path, table, from, to)); // Else the tabs overlap
+    });
+    return pieces;
+}
+
+/**
+ * Whether count tabs of the given width fit on a closed path: together they may cover
+ * at most half of it. Small contours fail this and are cut without tabs, so the editor
+ * checks it to warn about them.
+ */
+export function tabsFit(path, count, width) {
+    return path.length > 0 && width * count <= getArcLengthTable(path).totalLength / 2;
+}
+
+// The stretch of a closed path between normalized distances a < b; b may pass 1 and wrap
+function subPath(path, table, a, b) {
+    if (a >= 1) return subPath(path, table, a - 1, b - 1);
+    if (b > 1) return [...subPath(path, table, a, 1), ...subPath(path, table, 0, b - 1)];
+
+    const start = table.locate(a);
+    const end = b >= 1 ? { segIndex: path.length - 1, t: 1 } : table.locate(b);
+    if (start.segIndex === end.segIndex) {
+        const tail = splitSegment(path[start.segIndex], start.t)[1];
+        return [splitSegment(tail, (end.t - start.t) / (1 - start.t))[0]];
+    }
+
+    const segs = [];
+    if (start.t < 1) segs.push(splitSegment(path[start.segIndex], start.t)[1]);
+    for (let i = start.segIndex + 1; i < end.segIndex; i++) segs.push(path[i]);
+    if (end.t > 0) segs.push(splitSegment(path[end.segIndex], end.t)[0]);
+    return segs;
+}
@@ -0,0 +1,63 @@
+import { createRandom } from './generators.js';
+
+// Variations
+//
+// A batch of related designs made by jittering one shape within set ranges: its
+// control points, its convergence point and its scales (or ring widths in offset
+// mode). Variation i is drawn from seed + i alone, so any one of them can be
+// rebuilt from its own seed as the first variation of a new batch.
+
+// Scale limits of the editor's sliders
+const SCALE_MIN = 0.5;
+const SCALE_MAX = 0.99;
+const GAP_MIN = 0.05;
+const GAP_MAX = 2;
+
+/**
+ * @param {Object} shape - the shape's keys (points, convergence, startScale, endScale, startGap, endGap)
+ * @param {{ points: number, convergence: number, scale: number }} ranges - the largest
+ *   point and convergence moves in inches, and the largest relative change of the
+ *   scales and ring widths (0.05 = up to 5% either way)
+ * @param {number} seed - integer seed of the batch
+ * @param {number} count - number of variations
+ * @returns {Array} one { seed, points, convergence, startScale, endScale, startGap, endGap }
+ *   per variation, ready to merge over the shape
+ */
+export function makeVariations(shape, ranges, seed, count) {
+    return Array.from({ length: count }, (_, i) => makeVariation(shape, ranges, seed + i));
+}
+
+function makeVariation(shape, ranges, seed) {
+    const random = createRandom(seed);
+    const jitter = amount => (random() * 2 - 1) * amount;
+    const vary = (value, min, max) => clamp(value * (1 + jitter(ranges.scale)), min, max);
+
+    // Handles are stored relative to their point, so they move with it
+    const points = shape.points.map(p => ({
+        ...p,
+        x: round(p.x + jitter(ranges.points)),
+        y: round(p.y + jitter(ranges.points))
+    }));
+    const convergence = {
+        x: round(shape.convergence.x + jitter(ranges.convergence)),
+        y: round(shape.convergence.y + jitter(ranges.convergence))
+    };
+
+    return {
+        seed,
+        points,
+        convergence,
+        startScale: round(vary(shape.startScale, SCALE_MIN, SCALE_MAX)),
+        endScale: round(vary(shape.endScale, SCALE_MIN, SCALE_MAX)),
+        startGap: round(vary(shape.startGap, GAP_MIN, GAP_MAX)),
+        endGap: round(vary(shape.endGap, GAP_MIN, GAP_MAX))
+    };
+}
+
+function clamp(v, min, max) {
+    return Math.min(max, Math.max(min, v));
+}
+
+function round(v) {
+    return Math.round(v * 10000) / 10000;
+}
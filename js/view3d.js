@@ -1,7 +1,10 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { getPathPropertiesAt, interpolateColor } from './math.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { getStackPivots, getPathBBox, interpolateColor } from './math.js';
 
 let scene, camera, renderer, controls;
 let container;
@@ -120,7 +123,11 @@ function animate() {
     renderer.render(scene, camera);
 }
 
-export function update3D(nests, state) {
+/**
+ * Rebuilds the model: one stack of ribs per shape.
+ * @param {Array} stacks - { nests, walls } per shape (walls from analyzeRingWidths)
+ */
+export function update3D(stacks, state) {
     if (!ribsGroup) return;
 
     // Clear old ribs
@@ -138,6 +145,12 @@ export function update3D(nests, state) {
         ribsGroup.remove(child);
     }
 
+    stacks.forEach(({ nests, walls }) => addStack(nests, walls, state));
+
+    // Auto-center camera if needed or just let OrbitControls handle it
+}
+
+function addStack(nests, walls, state) {
     if (nests.length < 2) return;
 
     // 1. Calculate Global Pivot from Base Curve (nests[0])
@@ -147,16 +160,18 @@ export function update3D(nests, state) {
     let globalPivot = { x: 0, y: 0, z: 0 };
 
     // Use Pivot Start (renamed to Position) to find point on base curve
-    const baseCurve = nests[0];
-    const props = getPathPropertiesAt(baseCurve, state.pivotStart);
-    if (props) {
-        globalPivot = { x: props.point.x, y: -props.point.y, z: 0 };
+    // With dowel holes the pivot moves into the middle of the ring (see getRibPivot)
+    const pivots = getStackPivots(nests, state.pivotStart, state.dowelHoles);
+    const basePivot = pivots[0];
+    if (basePivot) {
+        globalPivot = { x: basePivot.x, y: -basePivot.y, z: 0 };
     }
 
     // Material Colors
     const colorStart = new THREE.Color(state.colorStart);
     const colorEnd = new THREE.Color(state.colorEnd);
     const colorSides = new THREE.Color(state.colorSides);
+    const thinColor = new THREE.Color(0xff3333);
 
     // Shared resources for Pivot Visualization (Yellow Spheres)
     // Reduce segments slightly for performance since there will be many
@@ -168,7 +183,14 @@ export function update3D(nests, state) {
         const outerCurve = nests[k];
         const innerCurve = nests[k + 1];
 
-        // ... (Shape creation omitted for brevity, keeping existing code) ...
+        // Calculate the LOCAL pivot for this specific rib (outerCurve), used for
+        // both the dowel hole and the alignment below
+        let localPivot = globalPivot; // Default to global if calculation fails
+        const ribPivot = pivots[k];
+        if (ribPivot) {
+            localPivot = { x: ribPivot.x, y: -ribPivot.y, z: 0 };
+        }
+
         // 1. Create Shape with Hole
         const shape = new THREE.Shape();
         const p0 = outerCurve[0].p1;
@@ -185,6 +207,13 @@ export function update3D(nests, state) {
         });
         shape.holes.push(holePath);
 
+        // Rings too narrow at the pivot are left without a hole, as in the export
+        if (state.dowelHoles && !(walls[k] && walls[k].dowelFits === false)) {
+            const dowelPath = new THREE.Path();
+            dowelPath.absarc(localPivot.x, localPivot.y, state.dowelDiameter / 2, 0, Math.PI * 2, true);
+            shape.holes.push(dowelPath);
+        }
+
         // 2. Extrude
         const extrudeSettings = {
             depth: state.thickness,
@@ -194,12 +223,7 @@ export function update3D(nests, state) {
 
         // --- Setup Materials ---
         // Calculate Bounding Box of the Outer Curve for Normalization (Gradient)
-        let minX = Infinity, maxX = -Infinity;
-        outerCurve.forEach(seg => {
-            minX = Math.min(minX, seg.p1.x, seg.c1.x, seg.c2.x, seg.p2.x);
-            maxX = Math.max(maxX, seg.p1.x, seg.c1.x, seg.c2.x, seg.p2.x);
-        });
-        const width = maxX - minX;
+        const { minX, width } = getPathBBox(outerCurve);
 
         // Create vertex colors for gradient on caps
         const count = geometry.attributes.position.count;
@@ -245,8 +269,21 @@ export function update3D(nests, state) {
             side: THREE.DoubleSide
         });
 
+        // Ribs with walls below the safe width get red sides
+        const thin = walls[k] && walls[k].thin;
+        const sideColor = thin ? thinColor : colorSides;
+
+        // The side colour also goes into the vertex colours so exported models keep it
+        geometry.groups.filter(group => group.materialIndex === 1).forEach(group => {
+            for (let i = group.start; i < group.start + group.count; i++) {
+                colors[i * 3] = sideColor.r;
+                colors[i * 3 + 1] = sideColor.g;
+                colors[i * 3 + 2] = sideColor.b;
+            }
+        });
+
         const sideMaterial = new THREE.MeshPhongMaterial({
-            color: colorSides,
+            color: sideColor,
             specular: 0x111111,
             shininess: 30,
             side: THREE.DoubleSide
@@ -256,26 +293,17 @@ export function update3D(nests, state) {
 
         // 3. Transformations with Global Pivot
         const zStep = k * state.thickness;
-        const angleRad = (k * state.baseRotation * Math.PI) / 180;
 
         // ALIGNMENT LOGIC:
-        // Calculate the LOCAL pivot for this specific rib (outerCurve)
-        // and translate the geometry so this local pivot moves to (0,0).
+        // Translate the geometry so this rib's local pivot moves to (0,0).
         // This "stacks" all ribs such that their pivot points are vertically aligned.
-        let localPivot = globalPivot; // Default to global if calculation fails
-        const localProps = getPathPropertiesAt(outerCurve, state.pivotStart);
-        if (localProps) {
-            localPivot = { x: localProps.point.x, y: -localProps.point.y, z: 0 };
-        }
 
         // 1. Center geometry at LOCAL pivot: Translate by -localPivot
         mesh.geometry.translate(-localPivot.x, -localPivot.y, 0);
 
-        // 2. Rotate around vertical axis (Z) - Axis is now at (0,0) which corresponds to the Local Pivot
-        const axis = new THREE.Vector3(0, 0, 1);
-        mesh.rotateOnAxis(axis, angleRad);
+        // Twist is part of the nest geometry (generateNests), so ribs need no rotation here
 
-        // 3. Translate to Global Pivot World Position + vertical offset
+        // 2. Translate to Global Pivot World Position + vertical offset
         // This places the stack at the original base pivot location
         mesh.position.set(globalPivot.x, globalPivot.y, zStep);
 
@@ -287,8 +315,54 @@ export function update3D(nests, state) {
         // Note: The pivot itself isn't rotated (it's the center!), but we want to show the axis.
         // The axis is vertical line at globalPivot.x, globalPivot.y.
         pivotMesh.position.set(globalPivot.x, globalPivot.y, zStep);
+        pivotMesh.userData.marker = true; // Not part of exported models
         ribsGroup.add(pivotMesh);
     }
+}
+
+/**
+ * Exports the rib stacks from the last update3D (without pivot markers) as a
+ * binary 'stl', an 'obj' or a binary glTF ('glb') with the cap gradient and
+ * side colours as vertex colours. units 'mm' scales the inch model by 25.4.
+ * Z is up, except in glTF, which is Y-up by convention.
+ * Resolves to { data, filename, type } for downloadFile.
+ */
+export function exportModel(format, units = 'in') {
+    const scale = units === 'mm' ? 25.4 : 1;
+    const material = new THREE.MeshStandardMaterial({ vertexColors: true, side: THREE.DoubleSide });
+    const model = new THREE.Group();
+
+    ribsGroup.children.forEach(child => {
+        if (child.userData.marker) return;
+        child.updateMatrix();
+        // Bake each rib's placement (but not the interactive view rotation) into its geometry
+        const geometry = child.geometry.clone().applyMatrix4(child.matrix);
+        geometry.scale(scale, scale, scale);
+        geometry.clearGroups();
+        if (format === 'glb') geometry.rotateX(-Math.PI / 2);
+        model.add(new THREE.Mesh(geometry, material));
+    });
+
+    const dispose = () => {
+        model.children.forEach(mesh => mesh.geometry.dispose());
+        material.dispose();
+    };
+
+    if (format === 'glb') {
+        return new Promise((resolve, reject) => {
+            new GLTFExporter().parse(model, data => {
+                dispose();
+                resolve({ data, filename: 'organic-curve.glb', type: 'model/gltf-binary' });
+            }, err => {
+                dispose();
+                reject(err);
+            }, { binary: true });
+        });
+    }
 
-    // Auto-center camera if needed or just let OrbitControls handle it
+    const result = format === 'obj'
+        ? { data: new OBJExporter().parse(model), filename: 'organic-curve.obj', type: 'text/plain' }
+        : { data: new STLExporter().parse(model, { binary: true }), filename: 'organic-curve.stl', type: 'model/stl' };
+    dispose();
+    return Promise.resolve(result);
 }